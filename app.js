@@ -0,0 +1,4113 @@
+// Integrated app - Combines package booking and tipping systems
+//
+// createApp(deps) builds the Express app around the clients it talks to, so
+// it can be mounted in supertest against stripe-mock and fakes. server.js
+// creates the real clients and starts listening.
+const express = require('express');
+const cors = require('cors');
+const { buildSchemas } = require('./schemas');
+const { validate } = require('./validation');
+const { ApiError, sendError, errorHandler } = require('./errors');
+const { buildOpenApiDocument, getDocsPage, createResponseValidator, findUndocumentedRoutes } = require('./openapi');
+const { createEmailRenderer } = require('./emailTemplates');
+const { createRepositories } = require('./repositories');
+
+/**
+ * Build the Express app. Nothing listens and no timers start until the
+ * caller asks - see server.js.
+ *
+ * @param {object} deps
+ * @param {object} deps.config - from loadConfig() in config.js
+ * @param {object} deps.stripe - Stripe client
+ * @param {object} deps.storage - storage backend from storage.js
+ * @param {object} deps.auth - Firebase Auth client, used to verify ID tokens and manage staff roles
+ * @param {object} deps.emailTransport - email transport from emailTransports.js
+ * @param {Function} [deps.fetch] - HTTP client for the activity upgrades server, global fetch by default
+ */
+function createApp({ config, stripe, storage, auth, emailTransport, fetch = global.fetch }) {
+  // Request schemas for every route, see schemas.js
+  const schemas = buildSchemas(config);
+  const openApiDocument = buildOpenApiDocument(config, schemas);
+
+  const { db, FieldValue, Timestamp, FieldPath } = storage;
+
+  // Tips, guides, bookings and email logs - see repositories.js
+  const repositories = createRepositories(storage);
+
+  // Sender used for every transactional email
+  const EMAIL_SENDER = { 
+    email: config.email.senderEmail, 
+    name: config.email.senderName 
+  };
+
+  const app = express();
+
+  // Configure CORS to allow requests - these are also the only origins
+  // payment pages may redirect back to
+  app.use(cors({
+    origin: config.allowedOrigins,
+    credentials: true
+  }));
+
+  // Middleware for JSON parsing, except for webhook endpoint
+  app.use((req, res, next) => {
+    if (req.originalUrl === '/api/tip/webhook') {
+      express.raw({ type: 'application/json' })(req, res, next);
+    } else {
+      express.json()(req, res, next);
+    }
+  });
+
+  // In development, report responses that drift from the OpenAPI document
+  if (config.validateResponses) {
+    app.use(createResponseValidator(openApiDocument));
+  }
+
+  //===========================================================================
+  // SHARED ENDPOINTS
+  //===========================================================================
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'healthy', 
+      message: 'Server is running (Packages & Tips)',
+      timestamp: new Date().toISOString(),
+      environment: config.env,
+      keepAlive: config.keepAlive.enabled ? 'active' : 'disabled'
+    });
+  });
+
+  // API documentation - the OpenAPI document and a Swagger UI page for it
+  app.get('/api/docs/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get('/api/docs', (req, res) => {
+    res.type('html').send(getDocsPage('/api/docs/openapi.json'));
+  });
+
+  //===========================================================================
+  // PACKAGE BOOKING ENDPOINTS 
+  //===========================================================================
+
+  // Create checkout session endpoint for package bookings
+  app.post('/create-checkout-session', authenticate(), validate(schemas.createCheckoutSession), async (req, res, next) => {
+    try {
+      // The client only sends identifiers - prices come from the package catalogue
+      // and the user comes from their Firebase ID token
+      const userId = req.user.uid;
+      const { 
+        packageId, 
+        travellers,      // Number of travellers, for per-person prices
+        addOnIds,        // Activity upgrades from the add-on catalogue
+        couponCode,      // Coupon code if applied - validated and priced server-side
+        startDate,       // Travel dates (YYYY-MM-DD) for flexible packages
+        endDate,
+        paymentPlan      // 'full', or 'deposit' to pay the balance later
+      } = req.body;
+
+      console.log('Creating checkout session for package:', { 
+        packageId, 
+        userId, 
+        travellers,
+        addOnIds,
+        couponCode,
+        startDate,
+        endDate,
+        paymentPlan
+      });
+
+      // Resolve the package against the server-owned catalogue
+      const catalogueResult = await getCataloguePackage(packageId);
+      if (!catalogueResult.success) {
+        return sendError(res, catalogueResult.code, catalogueResult.error);
+      }
+
+      const packageInfo = catalogueResult.package;
+
+      const dates = resolveBookingDates({ startDate, endDate }, packageInfo);
+      if (!dates.valid) {
+        return sendError(res, 'INVALID_DATES', dates.error);
+      }
+
+      // Price the package and add-ons for the party from the catalogue
+      const order = await priceOrder(packageInfo, { travellers, addOnIds });
+      if (!order.success) {
+        return sendError(res, order.code, order.error);
+      }
+      const originalAmount = order.subtotal;
+
+      // Apply the coupon ourselves - the client never tells us the discount
+      let coupon = null;
+      let appliedDiscount = 0;
+      if (couponCode) {
+        const couponResult = await validateCoupon(couponCode, { userId, packageInfo, subtotal: originalAmount });
+        if (!couponResult.valid) {
+          return sendError(res, couponResult.code, couponResult.error);
+        }
+        coupon = couponResult.coupon;
+        appliedDiscount = couponResult.discountAmount;
+      }
+      const amount = roundAmount(originalAmount - appliedDiscount);
+
+      // Check if this is a free booking (100% discount)
+      if (amount === 0) {
+        console.log('Detected free booking (100% discount). This should use /create-free-booking.');
+        return sendError(res, 'FREE_BOOKING', 'Free bookings should be processed with /create-free-booking');
+      }
+
+      // Deposit bookings pay part now and the balance before travel
+      const plan = getPaymentPlan(paymentPlan, amount, packageInfo);
+      if (!plan.valid) {
+        return sendError(res, 'DEPOSIT_NOT_AVAILABLE', plan.error);
+      }
+
+      const timestamp = Date.now();
+
+      // A full payment has one line item per order item so the receipt is
+      // itemised; a deposit is a single line for the amount due now
+      const lineItems = plan.paymentPlan === 'deposit'
+        ? [{
+          price_data: {
+            currency: packageInfo.currency,
+            product_data: {
+              name: `Deposit: ${packageInfo.name}`,
+              description: `${config.deposits.percent}% deposit - balance of ${formatCurrency(plan.balanceAmount, packageInfo.currency)} due by ${formatDisplayDate(plan.balanceDueDate)}`
+            },
+            unit_amount: Math.round(plan.amountDue * 100)
+          },
+          quantity: 1
+        }]
+        : order.items.map(item => ({
+          price_data: {
+            currency: packageInfo.currency,
+            product_data: {
+              name: item.name,
+              description: item.type === 'package' ? 'KenyaOnABudget Safaris booking' : 'Activity add-on'
+            },
+            unit_amount: Math.round(item.unitAmount * 100) // Convert to pence
+          },
+          quantity: item.quantity
+        }));
+
+      // The discount applies to the whole order, so it goes to Stripe as a
+      // single-use coupon for exactly the amount we worked out. It can't
+      // outlive the session and is deleted if the session expires unpaid.
+      // Deposits are worked out from the discounted total already.
+      const expiresAt = Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_LIFETIME_SECONDS;
+      const discounts = [];
+      if (appliedDiscount > 0 && plan.paymentPlan === 'full') {
+        const stripeCoupon = await stripe.coupons.create({
+          amount_off: Math.round(appliedDiscount * 100),
+          currency: packageInfo.currency,
+          duration: 'once',
+          max_redemptions: 1,
+          redeem_by: expiresAt,
+          name: coupon.code.slice(0, 40),
+          metadata: { couponCode: coupon.code, userId }
+        });
+        discounts.push({ coupon: stripeCoupon.id });
+      }
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems,
+        discounts,
+        mode: 'payment',
+        expires_at: expiresAt,
+        success_url: `${config.urls.packageSuccess}?session_id={CHECKOUT_SESSION_ID}&userId=${userId}&timestamp=${timestamp}`,
+        cancel_url: `${config.urls.packageCancel}?userId=${userId}&timestamp=${timestamp}`,
+        client_reference_id: userId,
+        metadata: {
+          userId: userId,
+          timestamp: timestamp.toString(),
+          packageId: packageInfo.id,
+          packageName: packageInfo.name,
+          catalogueVersion: packageInfo.version.toString(),
+          cataloguePrice: packageInfo.price.toString(),
+          originalAmount: originalAmount.toString(),
+          discountAmount: appliedDiscount.toString(),
+          couponCode: coupon ? coupon.code : 'none',
+          hasCoupon: coupon ? 'true' : 'false',
+          stripeCouponId: discounts.length > 0 ? discounts[0].coupon : '',
+          travellers: order.travellers.toString(),
+          addOnCount: (order.items.length - 1).toString(),
+          paymentPlan: plan.paymentPlan,
+          balanceAmount: plan.balanceAmount.toString(),
+          balanceDueDate: plan.balanceDueDate || '',
+          startDate: dates.startDate || '',
+          endDate: dates.endDate || '',
+          type: 'package' // Add type to distinguish from tips
+        }
+      });
+
+      console.log('Checkout session created for package:', session.id);
+
+      // Keep our own record of the pricing so verification doesn't rely on metadata
+      await safeFirestoreSet('checkoutSessions', session.id, {
+        type: 'package',
+        userId,
+        packageId: packageInfo.id,
+        packageName: packageInfo.name,
+        catalogueVersion: packageInfo.version,
+        currency: packageInfo.currency,
+        travellers: order.travellers,
+        items: order.items,
+        originalAmount,
+        discountAmount: appliedDiscount,
+        finalAmount: amount,
+        couponCode: coupon ? coupon.code : null,
+        paymentPlan: plan.paymentPlan,
+        depositAmount: plan.depositAmount,
+        balanceAmount: plan.balanceAmount,
+        balanceDueDate: plan.balanceDueDate,
+        startDate: dates.startDate,
+        endDate: dates.endDate,
+        status: 'pending'
+      });
+
+      res.json({ 
+        id: session.id,
+        timestamp: timestamp,
+        amount: plan.amountDue,
+        totalAmount: amount,
+        currency: packageInfo.currency,
+        travellers: order.travellers,
+        items: order.items,
+        paymentPlan: plan.paymentPlan,
+        balanceAmount: plan.balanceAmount,
+        balanceDueDate: plan.balanceDueDate
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Verify payment endpoint for package bookings
+  app.post('/verify-payment', authenticate(), validate(schemas.verifyPayment), async (req, res, next) => {
+    try {
+      const { sessionId } = req.body;
+
+      console.log('Verifying payment for package session:', sessionId);
+
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      console.log('Package session retrieved:', {
+        id: session.id,
+        payment_status: session.payment_status,
+        amount_total: session.amount_total,
+        metadata: session.metadata
+      });
+
+      // Only the customer who booked can verify their session
+      const sessionUserId = (session.metadata && session.metadata.userId) || session.client_reference_id;
+      if (sessionUserId !== req.user.uid) {
+        return sendError(res, 'FORBIDDEN', 'This booking belongs to another user');
+      }
+
+      if (session.payment_status === 'paid' && session.metadata && session.metadata.type === 'package_balance') {
+        // The balance of a deposit booking, paid through its payment link
+        const balanceResult = await applyBalancePayment(session);
+        if (!balanceResult.success) {
+          throw new ApiError('DATABASE_ERROR', balanceResult.error);
+        }
+
+        const booking = balanceResult.booking;
+        return res.json({
+          paid: true,
+          amount: session.amount_total / 100,
+          finalAmount: booking.totalAmount,
+          bookingId: booking.id,
+          bookingReference: booking.bookingReference,
+          paymentPlan: booking.paymentPlan,
+          balanceAmount: booking.balanceAmount,
+          balanceDueDate: booking.balanceDueDate,
+          balanceStatus: booking.balanceStatus,
+          customerId: session.customer,
+          metadata: session.metadata
+        });
+      }
+
+      if (session.payment_status === 'paid') {
+        // Use the pricing we recorded when the session was created
+        const pricing = await getCheckoutPricing(session);
+
+        // Record the booking (no-op if the webhook already did)
+        const bookingResult = await recordPackageBooking(session, pricing);
+
+        res.json({
+          paid: true,
+          amount: session.amount_total / 100, // Just the deposit when paying by deposit
+          originalAmount: pricing.originalAmount,
+          discountAmount: pricing.discountAmount,
+          finalAmount: pricing.finalAmount,
+          couponCode: pricing.couponCode,
+          travellers: pricing.travellers,
+          items: pricing.items,
+          paymentPlan: pricing.paymentPlan,
+          balanceAmount: pricing.balanceAmount,
+          balanceDueDate: pricing.balanceDueDate,
+          balanceStatus: bookingResult.success ? bookingResult.booking.balanceStatus : null,
+          bookingId: bookingResult.success ? bookingResult.id : null,
+          bookingReference: bookingResult.success ? bookingResult.booking.bookingReference : null,
+          customerId: session.customer,
+          metadata: session.metadata
+        });
+      } else {
+        res.json({ 
+          paid: false,
+          status: session.payment_status,
+          metadata: session.metadata
+        });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Preview a coupon against a package before checkout
+  app.post('/validate-coupon', authenticate({ optional: true }), validate(schemas.validateCoupon), async (req, res, next) => {
+    try {
+      const { couponCode, packageId, travellers, addOnIds } = req.body;
+      // Per-user limits can only be checked for signed-in users
+      const userId = req.user ? req.user.uid : null;
+
+      const catalogueResult = await getCataloguePackage(packageId);
+      if (!catalogueResult.success) {
+        return sendError(res, catalogueResult.code, catalogueResult.error);
+      }
+
+      const packageInfo = catalogueResult.package;
+      const order = await priceOrder(packageInfo, { travellers, addOnIds });
+      if (!order.success) {
+        return sendError(res, order.code, order.error);
+      }
+
+      const couponResult = await validateCoupon(couponCode, { userId, packageInfo, subtotal: order.subtotal });
+
+      if (!couponResult.valid) {
+        return res.json({ 
+          valid: false, 
+          error: couponResult.error, 
+          code: couponResult.code 
+        });
+      }
+
+      res.json({
+        valid: true,
+        couponCode: couponResult.coupon.code,
+        originalAmount: order.subtotal,
+        discountAmount: couponResult.discountAmount,
+        finalAmount: roundAmount(order.subtotal - couponResult.discountAmount),
+        currency: packageInfo.currency,
+        travellers: order.travellers,
+        items: order.items
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Book a package that a coupon makes completely free - no Stripe session needed
+  app.post('/create-free-booking', authenticate(), validate(schemas.createFreeBooking), async (req, res, next) => {
+    try {
+      const userId = req.user.uid;
+      const { packageId, travellers, addOnIds, couponCode, startDate, endDate } = req.body;
+
+      console.log('Creating free booking for package:', { packageId, userId, travellers, addOnIds, couponCode, startDate, endDate });
+
+      const catalogueResult = await getCataloguePackage(packageId);
+      if (!catalogueResult.success) {
+        return sendError(res, catalogueResult.code, catalogueResult.error);
+      }
+
+      const packageInfo = catalogueResult.package;
+
+      const dates = resolveBookingDates({ startDate, endDate }, packageInfo);
+      if (!dates.valid) {
+        return sendError(res, 'INVALID_DATES', dates.error);
+      }
+
+      const order = await priceOrder(packageInfo, { travellers, addOnIds });
+      if (!order.success) {
+        return sendError(res, order.code, order.error);
+      }
+
+      const couponResult = await validateCoupon(couponCode, { userId, packageInfo, subtotal: order.subtotal });
+      if (!couponResult.valid) {
+        return sendError(res, couponResult.code, couponResult.error);
+      }
+
+      const finalAmount = roundAmount(order.subtotal - couponResult.discountAmount);
+      if (finalAmount !== 0) {
+        return sendError(res, 'NOT_FREE_BOOKING', 'This coupon does not cover the full price of the package', { finalAmount });
+      }
+
+      const bookingResult = await recordFreeBooking({
+        userId,
+        packageInfo,
+        order,
+        coupon: couponResult.coupon,
+        discountAmount: couponResult.discountAmount,
+        dates
+      });
+
+      if (!bookingResult.success) {
+        // Coupon redemption can still fail here if the last use was just taken
+        if (bookingResult.code) {
+          return sendError(res, bookingResult.code, bookingResult.error);
+        }
+        throw new ApiError('DATABASE_ERROR', bookingResult.error);
+      }
+
+      // Same shape as a verified paid booking
+      res.json({
+        paid: true,
+        amount: 0,
+        originalAmount: order.subtotal,
+        discountAmount: couponResult.discountAmount,
+        finalAmount: 0,
+        couponCode: couponResult.coupon.code,
+        travellers: order.travellers,
+        items: order.items,
+        bookingId: bookingResult.id,
+        bookingReference: bookingResult.booking.bookingReference
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Payment link for the balance of a deposit booking - for the customer to
+  // pay, or for staff to send on
+  app.post('/api/bookings/:bookingId/balance-payment-link', authenticate(), validate(schemas.bookingBalancePaymentLink), async (req, res, next) => {
+    try {
+      const booking = await repositories.bookings.get(req.params.bookingId);
+      if (!booking) {
+        return sendError(res, 'BOOKING_NOT_FOUND', 'Booking not found');
+      }
+
+      if (booking.userId !== req.user.uid && !hasAdminRole(req.user, ['admin', 'finance', 'support'])) {
+        return sendError(res, 'FORBIDDEN', 'This booking belongs to another user');
+      }
+
+      // Staff acting on a customer's booking, so audit it as requireAdmin would
+      if (booking.userId !== req.user.uid) {
+        req.auditDetails = { bookingReference: booking.bookingReference };
+        auditWhenFinished(req, res, req.user);
+      }
+
+      if (!['pending', 'overdue'].includes(booking.balanceStatus)) {
+        return sendError(res, 'NO_BALANCE_DUE', 'This booking has no balance to pay');
+      }
+      if (booking.status !== 'confirmed') {
+        return sendError(res, 'NO_BALANCE_DUE', `This booking is ${booking.status.replace(/_/g, ' ')}, so its balance can't be paid`);
+      }
+
+      const url = await issueBalancePaymentLink(booking);
+
+      res.json({
+        success: true,
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        url,
+        balanceAmount: booking.balanceAmount,
+        currency: booking.currency,
+        balanceDueDate: booking.balanceDueDate,
+        balanceStatus: booking.balanceStatus
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Endpoint to ping activity upgrades server
+  app.get('/ping-activity', async (req, res, next) => {
+    try {
+      const activityServerUrl = config.activityServerUrl;
+      if (!activityServerUrl) {
+        return sendError(res, 'ACTIVITY_SERVER_NOT_CONFIGURED', 'Activity server URL not configured');
+      }
+
+      // Safe fetch handling
+      const fetchModule = await getFetchModule();
+      if (!fetchModule) {
+        throw new ApiError('INTERNAL_ERROR', 'HTTP client not available');
+      }
+
+      let data;
+      try {
+        const response = await fetchModule(`${activityServerUrl}/health`);
+        data = await response.json();
+      } catch (error) {
+        console.error('Failed to ping activity upgrades server:', error.message);
+        return sendError(res, 'ACTIVITY_SERVER_UNAVAILABLE', 'Activity upgrades server did not respond');
+      }
+
+      console.log('🏓 Pinged activity upgrades server successfully:', data);
+      res.json({ success: true, activityServerStatus: data });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  //===========================================================================
+  // TIPPING SYSTEM ENDPOINTS
+  //===========================================================================
+
+  /**
+   * Endpoint to create a Stripe Checkout session for tips
+   */
+  app.post('/api/tip/create-checkout-session', authenticate({ optional: true }), validate(schemas.createTipCheckoutSession), async (req, res, next) => {
+    try {
+      // Defaults for optional fields are filled in by the schema
+      const { 
+        amount, 
+        currency, 
+        recipientType, 
+        recipientId, 
+        recipientName,
+        anonymous,     // Tip without attributing it to an account
+        message,
+        sendReceipt,   // Email the tipper a receipt
+        successUrl,
+        cancelUrl
+      } = req.body;
+
+      // Signed-out tippers must ask to tip anonymously rather than name a user
+      if (!req.user && anonymous !== true) {
+        return sendError(res, 'AUTH_REQUIRED', 'Sign in to tip, or tip anonymously');
+      }
+
+      const isAnonymous = anonymous === true || !req.user;
+      const userId = isAnonymous ? 'anonymous' : req.user.uid;
+      const userName = isAnonymous ? 'Anonymous' : req.user.name;
+
+      // Log the request
+      console.log('Creating tip checkout session:', {
+        amount,
+        recipientType,
+        recipientName,
+        userId,
+        message
+      });
+
+      // Only redirect back to our own pages - never to a caller-chosen domain
+      for (const [field, url] of [['successUrl', successUrl], ['cancelUrl', cancelUrl]]) {
+        if (url && !isAllowedRedirectUrl(url, config.tipRedirectPaths)) {
+          return sendError(res, 'REDIRECT_URL_NOT_ALLOWED', 
+            `${field} must be a page on an allowed origin (${config.allowedOrigins.join(', ')}) under ${config.tipRedirectPaths.join(', ')}`,
+            { field });
+        }
+      }
+
+      // Create line item description based on recipient
+      const lineItemDescription = recipientType === 'guide' 
+        ? `Tip for ${recipientName}`
+        : 'Tip for Kenya on a Budget Safaris';
+
+      const unitAmount = Math.round(amount * 100); // Stripe requires amount in cents/pence
+
+      // Work out how the guide gets paid - straight to their Connect account if onboarded
+      const payoutRouting = recipientType === 'guide'
+        ? getGuidePayoutRouting(await getGuideInfo(recipientId, recipientName), unitAmount)
+        : { method: 'none', platformFee: 0 };
+
+      // Create checkout session with Stripe
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price_data: {
+              currency: currency.toLowerCase(),
+              product_data: {
+                name: lineItemDescription,
+                description: message || 'Thank you for your service!',
+                images: [config.email.logoUrl],
+              },
+              unit_amount: unitAmount,
+            },
+            quantity: 1,
+          },
+        ],
+        mode: 'payment',
+        payment_intent_data: payoutRouting.paymentIntentData,
+        success_url: successUrl || `${config.urls.tipSuccess}?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: cancelUrl || config.urls.tipCancel,
+        metadata: {
+          recipientType,
+          recipientId,
+          recipientName,
+          userId,
+          userName,
+          message,
+          sendReceipt: sendReceipt ? 'true' : 'false',
+          payoutMethod: payoutRouting.method,
+          platformFee: (payoutRouting.platformFee / 100).toString(),
+          type: 'tip' // Add type to distinguish from packages
+        }
+      });
+
+      console.log('Tip checkout session created:', session.id);
+
+      res.json({
+        sessionId: session.id
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Endpoint to verify a checkout session for tips
+   */
+  app.get('/api/tip/verify-checkout-session', authenticate({ optional: true }), validate(schemas.verifyTipCheckoutSession), async (req, res, next) => {
+    try {
+      const { session_id } = req.query;
+
+      console.log('Verifying tip checkout session:', session_id);
+
+      // Retrieve the session from Stripe - unknown IDs become SESSION_NOT_FOUND
+      const session = await stripe.checkout.sessions.retrieve(session_id);
+
+      if (!session.metadata || session.metadata.type !== 'tip') {
+        return sendError(res, 'SESSION_TYPE_MISMATCH', 'Session is not a tip payment');
+      }
+
+      // Tips made while signed in can only be verified by the same user
+      const tipUserId = session.metadata.userId;
+      if (tipUserId && tipUserId !== 'anonymous' && (!req.user || req.user.uid !== tipUserId)) {
+        return sendError(res, 'FORBIDDEN', 'This tip belongs to another user');
+      }
+
+      if (session.payment_status === 'paid') {
+        // Record the tip and notify exactly once - repeat calls return the stored record
+        const tipResult = await processTipSession(session);
+
+        if (!tipResult.success) {
+          throw new ApiError('DATABASE_ERROR', tipResult.error);
+        }
+
+        const tip = tipResult.tip;
+        res.json({
+          success: true,
+          alreadyProcessed: !tipResult.created,
+          payment: {
+            id: tipResult.id,
+            amount: tip.amount,
+            currency: tip.currency,
+            recipientType: tip.recipientType,
+            recipientId: tip.recipientId,
+            recipientName: tip.recipientName,
+            status: tip.status
+          }
+        });
+      } else {
+        sendError(res, 'PAYMENT_INCOMPLETE', 'Payment not complete', { status: session.payment_status });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Webhook endpoint to handle Stripe events
+   */
+  app.post('/api/tip/webhook', async (req, res, next) => {
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+      // Verify the webhook signature - Connect account events use their own secret
+      event = constructWebhookEvent(req.body, sig);
+    } catch (err) {
+      console.error('Webhook signature verification failed:', err.message);
+      return sendError(res, 'WEBHOOK_SIGNATURE_INVALID', `Webhook Error: ${err.message}`);
+    }
+
+    // Handle the event
+    if (event.type === 'checkout.session.completed') {
+      const session = event.data.object;
+
+      try {
+        // Check if this is a tip payment (from metadata)
+        if (session.metadata && session.metadata.type === 'tip') {
+          // Process only if payment is successful
+          if (session.payment_status === 'paid') {
+            console.log('Processing webhook for tip payment:', session.id);
+
+            const tipResult = await processTipSession(session);
+            if (!tipResult.success) {
+              throw new ApiError('DATABASE_ERROR', tipResult.error);
+            }
+          }
+        } else if (session.metadata && session.metadata.type === 'package') {
+          // Record the booking even if the customer never reaches the success page
+          if (session.payment_status === 'paid') {
+            const bookingResult = await recordPackageBooking(session);
+            if (!bookingResult.success) {
+              throw new ApiError('DATABASE_ERROR', bookingResult.error);
+            }
+          }
+        } else if (session.metadata && session.metadata.type === 'package_balance') {
+          // Balance of a deposit booking, paid through its payment link
+          if (session.payment_status === 'paid') {
+            const balanceResult = await applyBalancePayment(session);
+            if (!balanceResult.success) {
+              throw new ApiError('DATABASE_ERROR', balanceResult.error);
+            }
+          }
+        }
+      } catch (error) {
+        // Answer with an error so Stripe redelivers the event - tips and
+        // bookings are keyed on the session ID, so a retry can't duplicate them
+        return next(error);
+      }
+    } else if (event.type === 'checkout.session.expired') {
+      // Abandoned package checkouts leave their single-use discount coupon behind
+      try {
+        await expirePackageCheckout(event.data.object);
+      } catch (error) {
+        return next(error);
+      }
+    } else if (event.type === 'charge.refunded') {
+      // Covers refunds made through the admin API and the Stripe dashboard
+      try {
+        await applyChargeRefund(event.data.object);
+      } catch (error) {
+        // Refunds are applied from Stripe's cumulative totals, so a retry is safe
+        return next(error);
+      }
+    } else if (event.type === 'charge.dispute.created' || event.type === 'charge.dispute.closed') {
+      try {
+        await applyChargeDispute(event.data.object, event.type === 'charge.dispute.created');
+      } catch (error) {
+        return next(error);
+      }
+    } else if (event.type === 'account.updated') {
+      // Guide Connect onboarding progress
+      try {
+        await applyConnectAccountUpdate(event.data.object);
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    // Return a response to acknowledge receipt of the event
+    res.json({ received: true });
+  });
+
+  //===========================================================================
+  // GUIDE EARNINGS ENDPOINTS
+  //===========================================================================
+
+  /**
+   * Paginated list of tips received by a guide, newest first.
+   * Query: limit (default 20, max 100), cursor (tip ID from `nextCursor`)
+   */
+  app.get('/api/guides/:guideId/tips', requireGuideAccess, validate(schemas.guideTips), async (req, res, next) => {
+    try {
+      const { guideId } = req.params;
+      const { limit, cursor } = req.query;
+
+      const page = await repositories.tips.listForGuide(guideId, { limit, cursor });
+      if (!page) {
+        return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+      }
+
+      res.json({
+        success: true,
+        tips: page.tips.map(serializeGuideTip),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Earnings summary for a guide: totals per currency, per period, and
+   * paid-out vs pending balances.
+   * Query: period (day | week | month | year, default month), from, to (YYYY-MM-DD)
+   */
+  app.get('/api/guides/:guideId/earnings', requireGuideAccess, validate(schemas.guideEarnings), async (req, res, next) => {
+    try {
+      const { guideId } = req.params;
+      const { period } = req.query;
+      const range = parseDateRange(req.query);
+
+      if (!range.valid) {
+        return sendError(res, 'INVALID_DATE_RANGE', range.error);
+      }
+
+      const tips = await repositories.tips.listForGuideInRange(guideId, range);
+
+      res.json({
+        success: true,
+        guideId,
+        period,
+        from: range.from ? formatDateOnly(range.from) : null,
+        to: range.to ? formatDateOnly(range.to) : null,
+        ...summarizeGuideEarnings(tips, period)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  //===========================================================================
+  // ADMIN ENDPOINTS
+  //===========================================================================
+
+  /**
+   * Get a staff member's admin roles.
+   */
+  app.get('/api/admin/roles/:uid', requireAdmin('super_admin'), validate(schemas.adminRoles), async (req, res, next) => {
+    try {
+      const user = await auth.getUser(req.params.uid);
+
+      res.json({
+        success: true,
+        uid: user.uid,
+        email: user.email || null,
+        roles: getUserRoles(user.uid, user.customClaims)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Grant or revoke an admin role. Super-admins only.
+   * Body: { uid | email, role, action: 'grant' | 'revoke' }
+   */
+  app.post('/api/admin/roles', requireAdmin('super_admin'), validate(schemas.updateAdminRoles), async (req, res, next) => {
+    try {
+      const { uid, email, role, action } = req.body;
+
+      if (!uid && !email) {
+        return sendError(res, 'VALIDATION_ERROR', 'Invalid request', { 
+          fields: [{ location: 'body', field: 'uid', message: 'uid or email is required' }]
+        });
+      }
+
+      const user = uid ? await auth.getUser(uid) : await auth.getUserByEmail(email);
+
+      if (action === 'revoke' && user.uid === req.user.uid && role === 'super_admin') {
+        return sendError(res, 'ROLE_CHANGE_NOT_ALLOWED', 'You cannot revoke your own super_admin role');
+      }
+
+      const claims = user.customClaims || {};
+      const currentRoles = Array.isArray(claims.roles) ? claims.roles : [];
+      const roles = action === 'grant'
+        ? Array.from(new Set([...currentRoles, role]))
+        : currentRoles.filter(existing => existing !== role);
+
+      await auth.setCustomUserClaims(user.uid, { ...claims, roles });
+
+      // Make revocations take effect now rather than when the token expires
+      if (action === 'revoke') {
+        await auth.revokeRefreshTokens(user.uid);
+      }
+
+      req.auditDetails = { targetUid: user.uid, role, action, previousRoles: currentRoles, roles };
+      console.log(`${req.user.email || req.user.uid} ${action === 'grant' ? 'granted' : 'revoked'} ${role} for ${user.uid}`);
+
+      res.json({
+        success: true,
+        uid: user.uid,
+        email: user.email || null,
+        roles: getUserRoles(user.uid, { roles })
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Refund a package booking or a tip, in full or in part.
+   * Body: { type: 'booking' | 'tip', id, amount?, reason? }
+   * `amount` is in major units and defaults to the remaining refundable amount.
+   * A deposit booking is refunded from its balance payment first, then its deposit.
+   */
+  app.post('/api/admin/refunds', requireAdmin('admin', 'finance'), validate(schemas.createRefund), async (req, res, next) => {
+    try {
+      const { type, id, amount, reason } = req.body;
+      const repository = REFUNDABLE_REPOSITORIES[REFUNDABLE_COLLECTIONS[type]];
+
+      const record = await repository.get(id);
+      if (!record) {
+        return sendError(res, type === 'tip' ? 'TIP_NOT_FOUND' : 'BOOKING_NOT_FOUND', `${type} not found`);
+      }
+
+      if (!record.stripePaymentIntentId) {
+        return sendError(res, 'NOT_REFUNDABLE', `This ${type} has no Stripe payment to refund`);
+      }
+
+      const paidAmount = type === 'booking' ? record.amountPaid : record.amount;
+      const refundable = roundAmount(paidAmount - (record.refundedAmount || 0));
+      const refundAmount = amount === undefined ? refundable : amount;
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        return sendError(res, 'INVALID_REFUND_AMOUNT', `Refund amount must be between 0 and ${refundable}`, { refundable });
+      }
+
+      // A deposit booking whose balance is paid has two payments - refund the
+      // balance first and take whatever is left from the deposit
+      let parts = [{ paymentIntentId: record.stripePaymentIntentId, amount: refundAmount }];
+      if (type === 'booking' && record.balancePaymentIntentId) {
+        const payments = await getRefundablePayments([record.balancePaymentIntentId, record.stripePaymentIntentId]);
+        parts = splitRefund(payments, refundAmount);
+        if (!parts) {
+          const stripeRefundable = roundAmount(payments.reduce((sum, payment) => sum + payment.refundable, 0));
+          return sendError(res, 'INVALID_REFUND_AMOUNT', `Refund amount must be between 0 and ${stripeRefundable}`, 
+            { refundable: stripeRefundable });
+        }
+      }
+
+      // Guide tips paid by destination charge take the money back from the guide
+      const reverseDestinationCharge = type === 'tip' && 
+        record.payoutMethod === 'destination_charge' && record.payoutStatus === 'transferred';
+
+      const refunds = [];
+      for (const part of parts) {
+        const refund = await stripe.refunds.create({
+          payment_intent: part.paymentIntentId,
+          amount: Math.round(part.amount * 100),
+          reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : undefined,
+          reverse_transfer: reverseDestinationCharge || undefined,
+          refund_application_fee: reverseDestinationCharge || undefined,
+          metadata: {
+            type,
+            recordId: id,
+            note: reason && !STRIPE_REFUND_REASONS.includes(reason) ? reason : ''
+          }
+        });
+
+        console.log(`Refund ${refund.id} created for ${type} ${id}: ${part.amount}`);
+
+        await safeFirestoreSet('refunds', refund.id, {
+          stripeRefundId: refund.id,
+          stripePaymentIntentId: part.paymentIntentId,
+          recordType: type,
+          recordId: id,
+          amount: part.amount,
+          currency: record.currency,
+          reason: reason || null,
+          status: refund.status
+        });
+
+        refunds.push({ refund, ...part });
+      }
+
+      // Update our records straight away rather than waiting for charge.refunded -
+      // this also reverses guide tip transfers
+      for (const { refund } of refunds) {
+        const charge = await stripe.charges.retrieve(refund.charge);
+        await applyChargeRefund(charge).catch(error => {
+          // The refund itself went through - the charge.refunded webhook retries the rest
+          console.error(`Error applying refund ${refund.id}, leaving it to the webhook:`, error);
+        });
+      }
+
+      const updated = await repository.get(id);
+      res.json({
+        success: true,
+        refund: {
+          id: refunds[0].refund.id,
+          amount: refundAmount,
+          currency: record.currency,
+          status: refunds[0].refund.status
+        },
+        refunds: refunds.map(({ refund, paymentIntentId, amount: partAmount }) => ({
+          id: refund.id,
+          paymentIntentId,
+          amount: partAmount,
+          status: refund.status
+        })),
+        record: {
+          type,
+          id: id,
+          status: updated ? updated.status : null,
+          refundedAmount: updated ? updated.refundedAmount : null
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Revenue report across bookings and tips for a date range.
+   * Query: from, to (YYYY-MM-DD, default last 30 days),
+   *        groupBy (type | currency | package | guide | coupon | day | week | month | year),
+   *        type (booking | tip), packageId, guideId, couponCode, currency filters,
+   *        format (json | csv)
+   */
+  app.get('/api/admin/reports/revenue', requireAdmin('admin', 'finance'), validate(schemas.revenueReport), async (req, res, next) => {
+    try {
+      const { groupBy, format } = req.query;
+      const range = parseDateRange(req.query, { defaultDays: 30 });
+
+      if (!range.valid) {
+        return sendError(res, 'INVALID_DATE_RANGE', range.error);
+      }
+
+      const entries = (await getRevenueEntries(range)).filter(entry => 
+        (!req.query.type || entry.type === req.query.type) &&
+        (!req.query.packageId || entry.packageId === req.query.packageId) &&
+        (!req.query.guideId || entry.guideId === req.query.guideId) &&
+        (!req.query.couponCode || entry.couponCode === normalizeCouponCode(req.query.couponCode)) &&
+        (!req.query.currency || entry.currency === req.query.currency.toLowerCase())
+      );
+      const rows = aggregateRevenue(entries, groupBy);
+
+      if (format === 'csv') {
+        return sendCsv(res, `revenue-${groupBy}-${formatDateOnly(range.from)}-${formatDateOnly(range.to)}.csv`, 
+          REVENUE_REPORT_COLUMNS, rows);
+      }
+
+      res.json({
+        success: true,
+        from: formatDateOnly(range.from),
+        to: formatDateOnly(range.to),
+        groupBy,
+        entryCount: entries.length,
+        rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Paid Stripe checkout sessions in a date range that have no matching
+   * booking or tip record, read from the session metadata.
+   * Query: from, to (YYYY-MM-DD, default last 30 days), format (json | csv)
+   */
+  app.get('/api/admin/reports/reconciliation', requireAdmin('admin', 'finance'), validate(schemas.reconciliationReport), async (req, res, next) => {
+    try {
+      const { format } = req.query;
+      const range = parseDateRange(req.query, { defaultDays: 30 });
+
+      if (!range.valid) {
+        return sendError(res, 'INVALID_DATE_RANGE', range.error);
+      }
+
+      const [entries, sessions] = await Promise.all([
+        getRevenueEntries(range),
+        listPaidCheckoutSessions(range)
+      ]);
+      const recordedSessionIds = new Set(
+        entries.flatMap(entry => [entry.stripeSessionId, entry.balanceSessionId]).filter(Boolean)
+      );
+      const unrecorded = [];
+      for (const session of sessions) {
+        if (!recordedSessionIds.has(session.id) && !(await isBalanceSessionRecorded(session))) {
+          unrecorded.push(session);
+        }
+      }
+
+      const rows = unrecorded.map(session => {
+        const metadata = session.metadata || {};
+        return {
+          stripeSessionId: session.id,
+          type: metadata.type || 'unknown',
+          date: new Date(session.created * 1000).toISOString(),
+          currency: session.currency,
+          amount: session.amount_total / 100,
+          packageId: metadata.packageId || '',
+          packageName: metadata.packageName || '',
+          guideId: metadata.recipientType === 'guide' ? metadata.recipientId || '' : '',
+          couponCode: metadata.couponCode && metadata.couponCode !== 'none' ? metadata.couponCode : '',
+          userId: metadata.userId || ''
+        };
+      });
+
+      if (format === 'csv') {
+        return sendCsv(res, `reconciliation-${formatDateOnly(range.from)}-${formatDateOnly(range.to)}.csv`,
+          RECONCILIATION_REPORT_COLUMNS, rows);
+      }
+
+      res.json({
+        success: true,
+        from: formatDateOnly(range.from),
+        to: formatDateOnly(range.to),
+        stripeSessionCount: sessions.length,
+        unrecordedCount: rows.length,
+        rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * List the transactional email templates.
+   */
+  app.get('/api/admin/email-templates', requireAdmin('admin', 'support'), (req, res) => {
+    res.json({ success: true, templates: emailRenderer.listTemplates() });
+  });
+
+  // Render a template for preview as HTML, plain text or both in JSON
+  async function sendEmailPreview(req, res, data) {
+    const { name } = req.params;
+    const { format, source } = req.query;
+
+    if (!emailRenderer.hasTemplate(name)) {
+      return sendError(res, 'TEMPLATE_NOT_FOUND', `No email template called ${name}`);
+    }
+
+    const email = await emailRenderer.render(name, data, { source });
+
+    if (format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(email.text);
+    }
+    res.json({ success: true, ...email });
+  }
+
+  /**
+   * Preview an email template rendered with its sample data.
+   * Query: format (html | text | json), source (active | file - skip Firestore overrides)
+   */
+  app.get('/api/admin/email-templates/:name/preview', requireAdmin('admin', 'support'), validate(schemas.emailTemplatePreview), async (req, res, next) => {
+    try {
+      await sendEmailPreview(req, res, emailRenderer.getSampleData(req.params.name));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Preview an email template with your own data, merged over the sample data.
+   * Body: { data }
+   */
+  app.post('/api/admin/email-templates/:name/preview', requireAdmin('admin', 'support'), validate(schemas.renderEmailTemplatePreview), async (req, res, next) => {
+    try {
+      await sendEmailPreview(req, res, { ...emailRenderer.getSampleData(req.params.name), ...req.body.data });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Emails in the outbox with a given status, newest first. Defaults to the
+   * dead letters - emails that failed every attempt.
+   * Query: status (failed | queued | sent), template, limit (default 20, max 100),
+   *        cursor (email ID from `nextCursor`)
+   */
+  app.get('/api/admin/email-outbox', requireAdmin('admin', 'support'), validate(schemas.emailOutbox), async (req, res, next) => {
+    try {
+      const { status, template, limit, cursor } = req.query;
+
+      const page = await repositories.emailLogs.listByStatus(status, { template, limit, cursor });
+      if (!page) {
+        return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+      }
+
+      res.json({
+        success: true,
+        status,
+        emails: page.emails.map(serializeOutboxEmail),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Send an outbox email again - usually a dead letter once the cause is
+   * fixed. It is queued with a fresh set of attempts and the first one is
+   * made straight away.
+   */
+  app.post('/api/admin/email-outbox/:id/resend', requireAdmin('admin', 'support'), validate(schemas.resendEmail), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const requeued = await repositories.emailLogs.requeue(id, {
+        attempts: 0,
+        maxAttempts: config.email.outbox.maxAttempts,
+        lastError: null,
+        resentBy: req.user.uid,
+        resentAt: FieldValue.serverTimestamp()
+      });
+
+      if (!requeued.found) {
+        return sendError(res, 'EMAIL_NOT_FOUND', 'Email not found');
+      }
+      if (requeued.inProgress) {
+        return sendError(res, 'EMAIL_SEND_IN_PROGRESS', 'This email is being sent right now, try again shortly');
+      }
+
+      req.auditDetails = { emailId: id, template: requeued.previous.template, previousStatus: requeued.previous.status };
+
+      const delivery = await deliverOutboxEmail(id);
+      const updated = await repositories.emailLogs.get(id);
+
+      res.json({
+        success: true,
+        sent: delivery.status === 'sent',
+        email: serializeOutboxEmail(updated)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Create (if needed) a guide's Stripe Connect Express account and return a
+   * one-time onboarding link for them to complete. Links can attach bank
+   * details, so they are only handed out by staff.
+   */
+  app.post('/api/guides/:guideId/connect/onboarding-link', requireAdmin('admin'), validate(schemas.guideConnectOnboardingLink), async (req, res, next) => {
+    try {
+      const { guideId } = req.params;
+      const guide = await repositories.guides.get(guideId);
+
+      if (!guide) {
+        return sendError(res, 'GUIDE_NOT_FOUND', 'Guide not found');
+      }
+
+      let accountId = guide.stripeAccountId;
+
+      if (!accountId) {
+        // Accounts outside the platform's country can only receive transfers
+        // under Stripe's recipient service agreement
+        const crossBorder = config.connect.country !== config.connect.platformCountry;
+
+        const account = await stripe.accounts.create({
+          type: 'express',
+          country: config.connect.country,
+          email: guide.email || undefined,
+          capabilities: {
+            transfers: { requested: true }
+          },
+          tos_acceptance: crossBorder ? { service_agreement: 'recipient' } : undefined,
+          business_type: 'individual',
+          metadata: { guideId }
+        });
+
+        accountId = account.id;
+        await repositories.guides.update(guideId, {
+          stripeAccountId: accountId,
+          stripeConnectStatus: 'onboarding',
+          stripePayoutsEnabled: false
+        });
+        console.log(`Created Stripe Connect account ${accountId} for guide ${guideId}`);
+      }
+
+      const accountLink = await stripe.accountLinks.create({
+        account: accountId,
+        refresh_url: config.urls.guideConnectRefresh,
+        return_url: config.urls.guideConnectReturn,
+        type: 'account_onboarding'
+      });
+
+      res.json({
+        success: true,
+        accountId,
+        url: accountLink.url,
+        expiresAt: new Date(accountLink.expires_at * 1000).toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  //===========================================================================
+  // ERROR HANDLING
+  //===========================================================================
+
+  // Unknown routes get the standard error shape too
+  app.use((req, res) => {
+    sendError(res, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`);
+  });
+
+  // Must come after every route - see errors.js for the codes
+  app.use(errorHandler(config));
+
+  //===========================================================================
+  // TIP PROCESSING
+  //===========================================================================
+
+  /**
+   * Record a paid tip checkout session and send its notifications exactly once.
+   * The verify endpoint and the webhook both call this; the `tips` document is
+   * keyed on the Stripe session ID and created in a transaction, and the
+   * notification is claimed separately so only one caller ever sends it.
+   */
+  async function processTipSession(session) {
+    try {
+      const ensured = await ensureTipRecord(session);
+
+      if (ensured.tip.payoutStatus === 'pending') {
+        await settleGuideTipPayout(ensured.id, ensured.tip);
+      }
+
+      if (await repositories.tips.claimNotification(ensured.id, 'notificationStatus')) {
+        const notified = await sendTipNotifications(ensured.tip);
+        await repositories.tips.update(ensured.id, {
+          notificationStatus: notified ? 'sent' : 'failed',
+          notifiedAt: FieldValue.serverTimestamp()
+        });
+      }
+
+      if (await repositories.tips.claimNotification(ensured.id, 'receiptStatus')) {
+        const receiptSent = await sendTipReceipt({ id: ensured.id, ...ensured.tip });
+        await repositories.tips.update(ensured.id, {
+          receiptStatus: receiptSent ? 'sent' : 'failed',
+          receiptSentAt: FieldValue.serverTimestamp()
+        });
+      }
+
+      return { success: true, created: ensured.created, id: ensured.id, tip: ensured.tip };
+    } catch (error) {
+      console.error(`Error processing tip session ${session.id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Create the tip record for a session if it doesn't exist yet
+  async function ensureTipRecord(session) {
+    const { 
+      recipientType, recipientId, recipientName, userId, userName, message, sendReceipt, payoutMethod, platformFee 
+    } = session.metadata || {};
+
+    // Resolve guide and sender details before the transaction - lookups can be slow
+    let resolvedRecipient = {
+      id: recipientId || null,
+      name: recipientName || 'Kenya on a Budget Safaris',
+      email: null
+    };
+    if (recipientType === 'guide') {
+      const guideInfo = await getGuideInfo(recipientId, recipientName);
+      if (guideInfo.exists) {
+        resolvedRecipient = { id: guideInfo.id, name: guideInfo.name, email: guideInfo.email || null };
+      } else {
+        console.warn(`Guide not found: ID: ${recipientId}, Name: ${recipientName}`);
+        resolvedRecipient.name = recipientName || guideInfo.name;
+      }
+    }
+
+    const receiptRequested = sendReceipt !== 'false';
+    const senderEmail = receiptRequested ? await getTipSenderEmail(session, userId) : null;
+
+    const tip = {
+      stripePaymentIntentId: session.payment_intent || null,
+      stripeSessionId: session.id,
+      amount: session.amount_total / 100, // Convert from cents/pence
+      currency: session.currency,
+      recipientType,
+      recipientId: resolvedRecipient.id,
+      recipientName: resolvedRecipient.name,
+      recipientEmail: resolvedRecipient.email,
+      senderId: userId || 'anonymous',
+      senderName: userName || 'Anonymous',
+      senderEmail,
+      message: message || '',
+      status: 'completed',
+      notificationStatus: 'pending',
+      receiptStatus: receiptRequested && senderEmail ? 'pending' : 'not_requested',
+      ...getInitialPayoutFields(recipientType, resolvedRecipient, payoutMethod, platformFee)
+    };
+
+    const ensured = await repositories.tips.createForSession(session.id, tip);
+    if (ensured.created) {
+      console.log(`Tip record created for session ${session.id}`);
+    }
+    return ensured;
+  }
+
+  // Find where to send a tipper's receipt: the Stripe checkout email, else their account
+  async function getTipSenderEmail(session, userId) {
+    const customerDetails = session.customer_details || {};
+    if (customerDetails.email || session.customer_email) {
+      return customerDetails.email || session.customer_email;
+    }
+
+    if (userId && userId !== 'anonymous') {
+      const user = await getFirebaseUser(userId);
+      return user && user.email ? user.email : null;
+    }
+
+    return null;
+  }
+
+  // Send the guide or company notification for a recorded tip
+  async function sendTipNotifications(tip) {
+    if (tip.recipientType === 'guide' && tip.recipientId) {
+      return sendGuideNotification(tip.recipientId, tip.recipientName, tip.amount, tip.senderId, tip.senderName, tip.message, tip.currency);
+    }
+    return sendCompanyNotification(tip.amount, tip.senderId, tip.senderName, tip.message, tip.currency);
+  }
+
+  //===========================================================================
+  // GUIDE PAYOUTS (STRIPE CONNECT)
+  //===========================================================================
+
+  // Platform fee in minor units for a tip of `amountMinor`, never more than the tip.
+  // Configured as a percentage plus a fixed amount (major units).
+  function calculatePlatformFee(amountMinor) {
+    const fee = Math.round(amountMinor * config.connect.platformFeePercent / 100) + 
+      Math.round(config.connect.platformFeeFixed * 100);
+    return Math.min(Math.max(fee, 0), amountMinor);
+  }
+
+  // Verify a webhook against the platform secret, then the Connect secret
+  function constructWebhookEvent(payload, signature) {
+    try {
+      return stripe.webhooks.constructEvent(payload, signature, config.stripe.webhookSecret);
+    } catch (error) {
+      if (!config.stripe.connectWebhookSecret) throw error;
+      return stripe.webhooks.constructEvent(payload, signature, config.stripe.connectWebhookSecret);
+    }
+  }
+
+  /**
+   * Decide how a guide tip reaches the guide:
+   * - 'destination_charge': guide is onboarded, Stripe moves the money at payment time
+   * - 'transfer': collected by the platform and transferred once the guide is onboarded
+   * - 'none': guide unknown, paid manually by the office
+   */
+  function getGuidePayoutRouting(guideInfo, amountMinor) {
+    if (!guideInfo.exists) {
+      return { method: 'none', platformFee: 0 };
+    }
+
+    const platformFee = calculatePlatformFee(amountMinor);
+
+    if (guideInfo.stripeAccountId && guideInfo.stripePayoutsEnabled) {
+      return {
+        method: 'destination_charge',
+        platformFee,
+        paymentIntentData: {
+          application_fee_amount: platformFee > 0 ? platformFee : undefined,
+          transfer_data: { destination: guideInfo.stripeAccountId },
+          metadata: { guideId: guideInfo.id }
+        }
+      };
+    }
+
+    return { method: 'transfer', platformFee };
+  }
+
+  // Payout fields stored on a new tip record
+  function getInitialPayoutFields(recipientType, recipient, payoutMethod, platformFee) {
+    if (recipientType !== 'guide') {
+      return { payoutMethod: 'none', payoutStatus: 'not_applicable', platformFee: 0 };
+    }
+    if (!payoutMethod || payoutMethod === 'none') {
+      // Tips from before Connect, or for guides we couldn't find
+      return { payoutMethod: 'manual', payoutStatus: 'manual', platformFee: 0 };
+    }
+    return {
+      payoutMethod,
+      payoutStatus: 'pending',
+      platformFee: parseFloat(platformFee || '0')
+    };
+  }
+
+  /**
+   * Move a guide tip's payout forward. Destination charges just need the
+   * transfer ID recording; platform-collected tips are transferred once the
+   * guide's Connect account can receive payouts. Safe to call repeatedly -
+   * transfers use an idempotency key per tip.
+   */
+  async function settleGuideTipPayout(tipId, tip) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(tip.stripePaymentIntentId, {
+        expand: ['latest_charge']
+      });
+      const charge = paymentIntent.latest_charge;
+
+      if (tip.payoutMethod === 'destination_charge') {
+        await repositories.tips.update(tipId, {
+          payoutStatus: 'transferred',
+          stripeTransferId: charge && charge.transfer ? charge.transfer : null,
+          guideStripeAccountId: paymentIntent.transfer_data ? paymentIntent.transfer_data.destination : null,
+          payoutAmount: roundAmount(tip.amount - tip.platformFee),
+          payoutUpdatedAt: FieldValue.serverTimestamp()
+        });
+        return true;
+      }
+
+      const guide = (await repositories.guides.get(tip.recipientId)) || {};
+
+      if (!guide.stripeAccountId || guide.stripePayoutsEnabled !== true) {
+        await repositories.tips.update(tipId, {
+          payoutStatus: 'pending_onboarding',
+          payoutUpdatedAt: FieldValue.serverTimestamp()
+        });
+        return false;
+      }
+
+      // Refunds made while the tip waited for onboarding come off the payout
+      const refundDeducted = tip.refundedAmount || 0;
+      const payoutAmount = Math.max(roundAmount(tip.amount - tip.platformFee - refundDeducted), 0);
+      if (payoutAmount === 0) {
+        await repositories.tips.update(tipId, {
+          payoutStatus: 'not_applicable',
+          payoutUpdatedAt: FieldValue.serverTimestamp()
+        });
+        return false;
+      }
+
+      const transfer = await stripe.transfers.create({
+        amount: Math.round(payoutAmount * 100),
+        currency: tip.currency,
+        destination: guide.stripeAccountId,
+        source_transaction: charge ? charge.id : undefined,
+        transfer_group: tip.stripeSessionId,
+        metadata: { tipId, guideId: tip.recipientId }
+      }, {
+        idempotencyKey: `tip-payout-${tipId}`
+      });
+
+      await repositories.tips.update(tipId, {
+        payoutStatus: 'transferred',
+        stripeTransferId: transfer.id,
+        guideStripeAccountId: guide.stripeAccountId,
+        payoutAmount,
+        payoutRefundDeducted: refundDeducted,
+        payoutUpdatedAt: FieldValue.serverTimestamp()
+      });
+      console.log(`Transferred ${payoutAmount} to guide ${tip.recipientId} for tip ${tipId}`);
+      return true;
+    } catch (error) {
+      console.error(`Error settling payout for tip ${tipId}:`, error);
+      await repositories.tips.update(tipId, {
+        payoutStatus: 'failed',
+        payoutError: error.message,
+        payoutUpdatedAt: FieldValue.serverTimestamp()
+      }).catch(() => {});
+      return false;
+    }
+  }
+
+  // Keep a guide's Connect status in sync and release any payouts waiting on onboarding
+  async function applyConnectAccountUpdate(account) {
+    let guideId = account.metadata && account.metadata.guideId;
+
+    if (!guideId) {
+      const guide = await repositories.guides.findByStripeAccount(account.id);
+      guideId = guide ? guide.id : null;
+    }
+
+    if (!guideId) {
+      console.warn(`No guide found for Connect account ${account.id}`);
+      return;
+    }
+
+    const capabilities = account.capabilities || {};
+    const payoutsEnabled = account.payouts_enabled === true && capabilities.transfers === 'active';
+    const requirements = account.requirements || {};
+
+    let connectStatus = 'onboarding';
+    if (payoutsEnabled) {
+      connectStatus = 'active';
+    } else if (account.details_submitted) {
+      connectStatus = requirements.disabled_reason ? 'restricted' : 'pending_verification';
+    }
+
+    await repositories.guides.update(guideId, {
+      stripeAccountId: account.id,
+      stripeConnectStatus: connectStatus,
+      stripeDetailsSubmitted: account.details_submitted === true,
+      stripeChargesEnabled: account.charges_enabled === true,
+      stripePayoutsEnabled: payoutsEnabled,
+      stripeRequirementsDue: requirements.currently_due || []
+    });
+    console.log(`Guide ${guideId} Connect status: ${connectStatus}`);
+
+    if (payoutsEnabled) {
+      await releasePendingGuidePayouts(guideId);
+    }
+  }
+
+  // Transfer tips that were waiting for a guide to finish onboarding
+  async function releasePendingGuidePayouts(guideId) {
+    const tips = await repositories.tips.listAwaitingPayout(guideId);
+
+    if (tips.length === 0) {
+      return 0;
+    }
+
+    let released = 0;
+    for (const { id, ...tip } of tips) {
+      // Refunded or disputed tips are not paid out; partly refunded ones pay the rest
+      if (!['completed', 'partially_refunded'].includes(tip.status) || tip.payoutMethod !== 'transfer') continue;
+      if (await settleGuideTipPayout(id, tip)) {
+        released++;
+      }
+    }
+
+    console.log(`Released ${released} pending tip payouts for guide ${guideId}`);
+    return released;
+  }
+
+  /**
+   * Take refunds back from a guide who was paid by separate transfer, up to
+   * the tip's total refunded amount less what was deducted before the payout
+   * (`payoutRefundDeducted`). Anything already in
+   * `transferReversedAmount` is skipped, so repeat calls for the same refund
+   * (admin API and webhook) reverse it only once. Errors are thrown so the
+   * webhook that called it is retried.
+   */
+  async function reverseGuideTipTransfer(tipId, tip, refundedAmount) {
+    const reversedAmount = roundAmount(
+      Math.min(refundedAmount - (tip.payoutRefundDeducted || 0), tip.payoutAmount || 0)
+    );
+    const reverseAmount = roundAmount(reversedAmount - (tip.transferReversedAmount || 0));
+
+    if (reverseAmount <= 0) return false;
+
+    await stripe.transfers.createReversal(tip.stripeTransferId, {
+      amount: Math.round(reverseAmount * 100),
+      metadata: { tipId }
+    }, {
+      // Concurrent calls for the same refund total make one reversal
+      idempotencyKey: `tip-${tipId}-reversal-${Math.round(reversedAmount * 100)}`
+    });
+
+    await repositories.tips.update(tipId, {
+      transferReversedAmount: reversedAmount
+    });
+    console.log(`Reversed ${reverseAmount} of transfer ${tip.stripeTransferId} for tip ${tipId}`);
+    return true;
+  }
+
+  //===========================================================================
+  // GUIDE EARNINGS LEDGER
+  //===========================================================================
+
+  /**
+   * Work out what a tip is worth to the guide and which balance it sits in:
+   * 'paid_out', 'pending' (waiting for a Connect transfer), 'manual' (paid by
+   * the office), 'on_hold' (disputed) or 'reversed' (refunded / dispute lost).
+   */
+  function getGuideTipEarning(tip) {
+    const gross = tip.amount || 0;
+    const fee = tip.platformFee || 0;
+    const refunded = tip.guideEarningsReversed || tip.refundedAmount || 0;
+    const net = Math.max(roundAmount(gross - fee - refunded), 0);
+
+    let balance;
+    if (tip.earningsStatus === 'reversed' || net === 0) {
+      balance = 'reversed';
+    } else if (tip.earningsStatus === 'on_hold') {
+      balance = 'on_hold';
+    } else if (tip.payoutStatus === 'transferred') {
+      balance = 'paid_out';
+    } else if (tip.payoutStatus === 'manual' || !tip.payoutStatus) {
+      balance = 'manual';
+    } else {
+      balance = 'pending';
+    }
+
+    return { currency: (tip.currency || 'gbp').toLowerCase(), gross, fee, refunded, net, balance };
+  }
+
+  // Bucket key for a date, e.g. 2026-03 for month or 2026-W11 for week
+  function getPeriodKey(date, period) {
+    const iso = date.toISOString();
+    switch (period) {
+      case 'day':
+        return iso.slice(0, 10);
+      case 'year':
+        return iso.slice(0, 4);
+      case 'week': {
+        // ISO week number
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const dayNumber = target.getUTCDay() || 7;
+        target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+        const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+        const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+        return `${target.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+      }
+      default:
+        return iso.slice(0, 7);
+    }
+  }
+
+  // Empty running totals for one currency
+  function createEarningsTotals() {
+    return { count: 0, gross: 0, platformFees: 0, refunded: 0, net: 0 };
+  }
+
+  // Add one tip's earning to running totals
+  function addToEarningsTotals(totals, earning) {
+    totals.count++;
+    totals.gross = roundAmount(totals.gross + earning.gross);
+    totals.platformFees = roundAmount(totals.platformFees + earning.fee);
+    totals.refunded = roundAmount(totals.refunded + earning.refunded);
+    totals.net = roundAmount(totals.net + earning.net);
+  }
+
+  // Summarise a guide's tips into per-currency totals, periods and balances
+  function summarizeGuideEarnings(tips, period) {
+    const totals = {};
+    const periods = {};
+    const balances = {};
+
+    for (const tip of tips) {
+      const earning = getGuideTipEarning(tip);
+      const { currency } = earning;
+
+      totals[currency] = totals[currency] || createEarningsTotals();
+      addToEarningsTotals(totals[currency], earning);
+
+      const createdAt = toDate(tip.createdAt);
+      if (createdAt) {
+        const key = getPeriodKey(createdAt, period);
+        periods[key] = periods[key] || {};
+        periods[key][currency] = periods[key][currency] || createEarningsTotals();
+        addToEarningsTotals(periods[key][currency], earning);
+      }
+
+      balances[currency] = balances[currency] || { paidOut: 0, pending: 0, manual: 0, onHold: 0 };
+      const balanceKey = { paid_out: 'paidOut', pending: 'pending', manual: 'manual', on_hold: 'onHold' }[earning.balance];
+      if (balanceKey) {
+        balances[currency][balanceKey] = roundAmount(balances[currency][balanceKey] + earning.net);
+      }
+    }
+
+    return {
+      tipCount: tips.length,
+      totals,
+      periods: Object.keys(periods).sort().map(key => ({ period: key, totals: periods[key] })),
+      balances
+    };
+  }
+
+  // Shape a tip for the guide's view - tipper contact details stay private
+  function serializeGuideTip(tip) {
+    const earning = getGuideTipEarning(tip);
+    const createdAt = toDate(tip.createdAt);
+
+    return {
+      id: tip.id,
+      amount: tip.amount,
+      currency: earning.currency,
+      platformFee: earning.fee,
+      refundedAmount: earning.refunded,
+      netAmount: earning.net,
+      balance: earning.balance,
+      senderName: tip.senderName || 'Anonymous',
+      message: tip.message || '',
+      status: tip.status,
+      payoutStatus: tip.payoutStatus || 'manual',
+      createdAt: createdAt ? createdAt.toISOString() : null
+    };
+  }
+
+  //===========================================================================
+  // REPORTING
+  //===========================================================================
+
+  const REVENUE_REPORT_COLUMNS = [
+    'group', 'label', 'type', 'currency', 'count', 'gross', 'discounts', 'collected', 'refunded', 'platformFees', 'net'
+  ];
+
+  const RECONCILIATION_REPORT_COLUMNS = [
+    'stripeSessionId', 'type', 'date', 'currency', 'amount', 'packageId', 'packageName', 'guideId', 'couponCode', 'userId'
+  ];
+
+  /**
+   * Load bookings and tips created in a date range as flat revenue entries.
+   * `gross` is the pre-discount price, `collected` what the customer paid.
+   */
+  async function getRevenueEntries(range) {
+    const [bookings, tips] = await Promise.all([
+      repositories.bookings.listInRange(range),
+      repositories.tips.listInRange(range)
+    ]);
+
+    const bookingEntries = bookings.map(booking => {
+      const refunded = booking.refundedAmount || 0;
+      return {
+        type: 'booking',
+        id: booking.id,
+        stripeSessionId: booking.stripeSessionId || null,
+        balanceSessionId: booking.balanceSessionId || null,
+        date: toDate(booking.createdAt),
+        currency: (booking.currency || 'gbp').toLowerCase(),
+        packageId: booking.packageId || null,
+        packageName: booking.packageName || null,
+        guideId: null,
+        guideName: null,
+        couponCode: booking.couponCode || null,
+        gross: booking.originalAmount || booking.amountPaid || 0,
+        discounts: booking.discountAmount || 0,
+        collected: booking.amountPaid || 0,
+        refunded,
+        platformFees: 0,
+        net: roundAmount((booking.amountPaid || 0) - refunded)
+      };
+    });
+
+    const tipEntries = tips.map(tip => {
+      const refunded = tip.refundedAmount || 0;
+      const isGuideTip = tip.recipientType === 'guide';
+      return {
+        type: 'tip',
+        id: tip.id,
+        stripeSessionId: tip.stripeSessionId || null,
+        balanceSessionId: null,
+        date: toDate(tip.createdAt),
+        currency: (tip.currency || 'gbp').toLowerCase(),
+        packageId: null,
+        packageName: null,
+        guideId: isGuideTip ? tip.recipientId || null : null,
+        guideName: isGuideTip ? tip.recipientName || null : null,
+        couponCode: null,
+        gross: tip.amount || 0,
+        discounts: 0,
+        collected: tip.amount || 0,
+        refunded,
+        platformFees: tip.platformFee || 0,
+        net: roundAmount((tip.amount || 0) - refunded)
+      };
+    });
+
+    return [...bookingEntries, ...tipEntries];
+  }
+
+  // Group key and display label for an entry under a report grouping
+  function getReportGroup(entry, groupBy) {
+    switch (groupBy) {
+      case 'package':
+        return entry.packageId 
+          ? { key: entry.packageId, label: entry.packageName || entry.packageId } 
+          : { key: '', label: 'No package' };
+      case 'guide':
+        return entry.guideId 
+          ? { key: entry.guideId, label: entry.guideName || entry.guideId } 
+          : { key: '', label: entry.type === 'tip' ? 'Company tips' : 'Bookings' };
+      case 'coupon':
+        return entry.couponCode 
+          ? { key: entry.couponCode, label: entry.couponCode } 
+          : { key: '', label: 'No coupon' };
+      case 'currency':
+        return { key: entry.currency, label: entry.currency.toUpperCase() };
+      case 'type':
+        return { key: entry.type, label: entry.type === 'booking' ? 'Bookings' : 'Tips' };
+      default: {
+        const key = entry.date ? getPeriodKey(entry.date, groupBy) : 'unknown';
+        return { key, label: key };
+      }
+    }
+  }
+
+  // Sum revenue entries per group, keeping types and currencies separate
+  function aggregateRevenue(entries, groupBy) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      const group = getReportGroup(entry, groupBy);
+      const rowKey = `${group.key}|${entry.type}|${entry.currency}`;
+
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, {
+          group: group.key,
+          label: group.label,
+          type: entry.type,
+          currency: entry.currency,
+          count: 0,
+          gross: 0,
+          discounts: 0,
+          collected: 0,
+          refunded: 0,
+          platformFees: 0,
+          net: 0
+        });
+      }
+
+      const row = rows.get(rowKey);
+      row.count++;
+      for (const field of ['gross', 'discounts', 'collected', 'refunded', 'platformFees', 'net']) {
+        row[field] = roundAmount(row[field] + entry[field]);
+      }
+    }
+
+    return Array.from(rows.values()).sort((a, b) => 
+      String(a.group).localeCompare(String(b.group)) || 
+      a.type.localeCompare(b.type) || 
+      a.currency.localeCompare(b.currency)
+    );
+  }
+
+  // Paid package, balance and tip checkout sessions created in a date range
+  async function listPaidCheckoutSessions(range) {
+    const sessions = [];
+
+    await stripe.checkout.sessions.list({
+      created: {
+        gte: Math.floor(range.from.getTime() / 1000),
+        lt: Math.floor(range.end.getTime() / 1000)
+      },
+      limit: 100
+    }).autoPagingEach(session => {
+      const type = session.metadata && session.metadata.type;
+      if (session.payment_status === 'paid' && (type === 'package' || type === 'package_balance' || type === 'tip')) {
+        sessions.push(session);
+      }
+    });
+
+    return sessions;
+  }
+
+  // Balances are often paid long after the booking was made, so check the
+  // booking itself rather than the bookings made in the report's range
+  async function isBalanceSessionRecorded(session) {
+    const metadata = session.metadata || {};
+    if (metadata.type !== 'package_balance' || !metadata.bookingId) return false;
+
+    const booking = await repositories.bookings.get(metadata.bookingId);
+    return Boolean(booking && booking.balanceSessionId === session.id);
+  }
+
+  //===========================================================================
+  // ADMIN ROLES AND AUDIT LOG
+  //===========================================================================
+
+  /**
+   * Staff roles, stored as a `roles` array in Firebase custom claims:
+   * - super_admin: everything, including granting and revoking roles
+   * - admin: refunds, reports, guide onboarding and other admin tools
+   * - finance: refunds and reports
+   * - support: read access to guide data, email templates and the outbox,
+   *   resending emails and balance payment links for customers' bookings
+   */
+  const ADMIN_ROLES = ['super_admin', 'admin', 'finance', 'support'];
+
+  // Admin roles for a user from their custom claims plus the bootstrap list
+  function getUserRoles(uid, claims) {
+    const roles = claims && Array.isArray(claims.roles) 
+      ? claims.roles.filter(role => ADMIN_ROLES.includes(role)) 
+      : [];
+    // SUPER_ADMIN_UIDS bootstraps super-admins before anyone holds the claim
+    if (config.superAdminUids.includes(uid) && !roles.includes('super_admin')) {
+      roles.push('super_admin');
+    }
+    return roles;
+  }
+
+  // Whether a user holds any of the given roles (super_admin holds them all)
+  function hasAdminRole(user, allowedRoles) {
+    if (!user || !user.roles) return false;
+    return user.roles.includes('super_admin') || 
+      user.roles.some(role => allowedRoles.includes(role));
+  }
+
+  /**
+   * Middleware restricting a route to staff with one of `allowedRoles`.
+   * Tokens are checked for revocation so removed roles apply immediately,
+   * and every request that gets through is written to the audit log.
+   */
+  function requireAdmin(...allowedRoles) {
+    return async (req, res, next) => {
+      let user;
+      try {
+        user = await getAuthenticatedUser(req, { checkRevoked: true });
+      } catch (error) {
+        console.warn('Admin token verification failed:', error.message);
+        return sendError(res, 'AUTH_INVALID', 'Invalid or expired authentication token');
+      }
+
+      if (!user) {
+        return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+      }
+
+      if (!hasAdminRole(user, allowedRoles)) {
+        console.warn(`User ${user.uid} denied access to ${req.method} ${req.originalUrl}`);
+        await writeAuditLog(req, user, { outcome: 'denied', statusCode: 403 });
+        return sendError(res, 'FORBIDDEN', 'You do not have permission to do this');
+      }
+
+      req.user = user;
+      auditWhenFinished(req, res, user);
+      next();
+    };
+  }
+
+  // Audit the action once its response has been sent
+  function auditWhenFinished(req, res, user) {
+    res.on('finish', () => {
+      writeAuditLog(req, user, { 
+        outcome: res.statusCode < 400 ? 'success' : 'failed', 
+        statusCode: res.statusCode 
+      });
+    });
+  }
+
+  // Record an admin action in the `adminAuditLog` collection
+  async function writeAuditLog(req, user, { outcome, statusCode }) {
+    return safeFirestoreAdd('adminAuditLog', {
+      actorUid: user.uid,
+      actorEmail: user.email,
+      actorRoles: user.roles,
+      method: req.method,
+      path: req.route ? req.route.path : req.path,
+      url: req.originalUrl,
+      params: req.params || {},
+      body: req.method === 'GET' ? null : (req.body || null),
+      details: req.auditDetails || null,
+      outcome,
+      statusCode,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
+  }
+
+  //===========================================================================
+  // REFUNDS AND DISPUTES
+  //===========================================================================
+
+  // Collections that hold refundable Stripe payments
+  const REFUNDABLE_COLLECTIONS = {
+    booking: 'bookings',
+    tip: 'tips'
+  };
+
+  // The repository for each refundable collection
+  const REFUNDABLE_REPOSITORIES = {
+    bookings: repositories.bookings,
+    tips: repositories.tips
+  };
+
+  // Reasons Stripe accepts on a refund; anything else is kept as a note
+  const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+  // Find the booking and tip records paid for by a payment intent
+  async function findPaymentRecords(paymentIntentId) {
+    if (!paymentIntentId) return [];
+
+    const records = [];
+    for (const collectionName of Object.values(REFUNDABLE_COLLECTIONS)) {
+      const results = await REFUNDABLE_REPOSITORIES[collectionName].listByPaymentIntent(paymentIntentId);
+      results.forEach(({ id, ...data }) => records.push({ collectionName, id, data }));
+    }
+    return records;
+  }
+
+  /**
+   * Bring booking/tip records in line with a charge's refund state.
+   * Uses the cumulative `amount_refunded` from Stripe, so applying the
+   * same charge more than once is harmless.
+   */
+  async function applyChargeRefund(charge) {
+    const records = await findPaymentRecords(charge.payment_intent);
+
+    if (records.length === 0) {
+      console.warn(`No booking or tip found for refunded charge ${charge.id}`);
+      return records;
+    }
+
+    for (const record of records) {
+      const paidAmount = record.collectionName === 'bookings' ? record.data.amountPaid : record.data.amount;
+      let refundedAmount = charge.amount_refunded / 100;
+      let fullyRefunded = charge.refunded;
+
+      // Deposit bookings are paid by two charges - count the other one's refunds too
+      if (record.collectionName === 'bookings' && record.data.balancePaymentIntentId) {
+        const otherPaymentIntentId = [record.data.stripePaymentIntentId, record.data.balancePaymentIntentId]
+          .find(paymentIntentId => paymentIntentId !== charge.payment_intent);
+        const [otherPayment] = await getRefundablePayments([otherPaymentIntentId]);
+        refundedAmount = roundAmount(refundedAmount + otherPayment.refunded);
+        fullyRefunded = refundedAmount >= paidAmount;
+      }
+
+      const update = {
+        refundedAmount,
+        netAmount: roundAmount(paidAmount - refundedAmount),
+        status: fullyRefunded ? 'refunded' : 'partially_refunded',
+        refundedAt: FieldValue.serverTimestamp()
+      };
+
+      // Refunded guide tips no longer count towards the guide's earnings
+      if (record.collectionName === 'tips' && record.data.recipientType === 'guide') {
+        update.earningsStatus = fullyRefunded ? 'reversed' : 'partially_reversed';
+        update.guideEarningsReversed = refundedAmount;
+      }
+
+      // Once any of a deposit booking is refunded its balance is no longer collected
+      if (record.collectionName === 'bookings' && ['pending', 'overdue'].includes(record.data.balanceStatus)) {
+        await deactivateBalancePaymentLink(record.id, record.data);
+        update.balanceStatus = 'cancelled';
+      }
+
+      await REFUNDABLE_REPOSITORIES[record.collectionName].update(record.id, update);
+      console.log(`Applied refund of ${refundedAmount} to ${record.collectionName}/${record.id}`);
+
+      // Guide tips paid out by separate transfer need the transfer reversed too,
+      // including refunds made from the Stripe dashboard
+      if (record.collectionName === 'tips' && record.data.payoutMethod === 'transfer' && record.data.stripeTransferId) {
+        await reverseGuideTipTransfer(record.id, record.data, refundedAmount);
+      }
+    }
+
+    return records;
+  }
+
+  // Spread a refund over payments in order, taking what each can still refund.
+  // Null when together they can't cover it.
+  function splitRefund(payments, amount) {
+    const parts = [];
+    let remaining = amount;
+
+    for (const payment of payments) {
+      const partAmount = roundAmount(Math.min(remaining, payment.refundable));
+      if (partAmount > 0) {
+        parts.push({ paymentIntentId: payment.paymentIntentId, amount: partAmount });
+        remaining = roundAmount(remaining - partAmount);
+      }
+    }
+
+    return remaining > 0 ? null : parts;
+  }
+
+  // How much of each payment's charge has been refunded and is left to refund
+  async function getRefundablePayments(paymentIntentIds) {
+    return Promise.all(paymentIntentIds.map(async (paymentIntentId) => {
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+      const charge = paymentIntent.latest_charge || { amount: 0, amount_refunded: 0 };
+      return {
+        paymentIntentId,
+        refunded: charge.amount_refunded / 100,
+        refundable: (charge.amount - charge.amount_refunded) / 100
+      };
+    }));
+  }
+
+  // Record a dispute against the affected records and alert admins when opened
+  async function applyChargeDispute(dispute, isNew) {
+    const paymentIntentId = dispute.payment_intent || 
+      (await stripe.charges.retrieve(dispute.charge)).payment_intent;
+    const records = await findPaymentRecords(paymentIntentId);
+
+    if (records.length === 0) {
+      console.warn(`No booking or tip found for disputed charge ${dispute.charge}`);
+    }
+
+    // Redelivered events find the dispute already recorded
+    const newlyDisputed = records.filter(record => record.data.disputeId !== dispute.id);
+
+    for (const record of records) {
+      const update = {
+        disputeId: dispute.id,
+        disputeStatus: dispute.status,
+        disputeReason: dispute.reason
+      };
+
+      const openBalance = record.collectionName === 'bookings' && 
+        ['pending', 'overdue'].includes(record.data.balanceStatus);
+
+      if (isNew) {
+        if (newlyDisputed.includes(record)) {
+          update.statusBeforeDispute = record.data.status;
+        }
+        // No balance payments while disputed - a fresh link is issued if the dispute is won
+        if (openBalance) {
+          await deactivateBalancePaymentLink(record.id, record.data);
+        }
+        update.status = 'disputed';
+        // Hold guide earnings until the dispute is resolved
+        if (record.collectionName === 'tips' && record.data.recipientType === 'guide') {
+          update.earningsStatus = 'on_hold';
+        }
+      } else if (dispute.status === 'won') {
+        update.status = record.data.statusBeforeDispute || record.data.status;
+        if (record.collectionName === 'tips' && record.data.recipientType === 'guide') {
+          update.earningsStatus = 'available';
+        }
+      } else if (dispute.status === 'lost') {
+        update.status = 'dispute_lost';
+        if (openBalance) {
+          update.balanceStatus = 'cancelled';
+        }
+        if (record.collectionName === 'tips' && record.data.recipientType === 'guide') {
+          update.earningsStatus = 'reversed';
+          update.guideEarningsReversed = record.data.amount;
+          update.netAmount = 0;
+        }
+      }
+
+      await REFUNDABLE_REPOSITORIES[record.collectionName].update(record.id, update);
+
+      // A lost dispute takes the whole tip, so take the transfer back from the guide
+      if (!isNew && dispute.status === 'lost' && record.collectionName === 'tips' && 
+        record.data.payoutMethod === 'transfer' && record.data.stripeTransferId) {
+        await reverseGuideTipTransfer(record.id, record.data, record.data.amount);
+      }
+    }
+
+    if (isNew && (records.length === 0 || newlyDisputed.length > 0)) {
+      await sendDisputeNotification(dispute, records);
+    }
+
+    return records;
+  }
+
+  //===========================================================================
+  // PACKAGE CATALOGUE
+  //===========================================================================
+
+  // How long a package checkout stays open - under Stripe's 24 hour maximum
+  const CHECKOUT_SESSION_LIFETIME_SECONDS = 23 * 60 * 60;
+
+  /**
+   * Look up a bookable package in the server-owned `packages` collection.
+   * Documents are expected to look like:
+   *   { name, price, currency: 'gbp', pricing: 'per_person', active: true, version: 1 }
+   * where `price` is in major units (pounds) and `pricing` is 'per_person'
+   * (the default) or 'per_booking'. Only packages explicitly marked active
+   * can be booked.
+   */
+  async function getCataloguePackage(packageId) {
+    const result = await safeFirestoreGet('packages', String(packageId));
+
+    if (!result.success) {
+      if (result.exists === false) {
+        console.warn(`Package not found in catalogue: ${packageId}`);
+        return { success: false, code: 'PACKAGE_NOT_FOUND', error: 'Package not found' };
+      }
+      return { success: false, code: 'CATALOGUE_UNAVAILABLE', error: 'Unable to load package catalogue' };
+    }
+
+    const data = result.data;
+
+    if (data.active !== true) {
+      console.warn(`Attempt to book inactive package: ${packageId}`);
+      return { success: false, code: 'PACKAGE_INACTIVE', error: 'Package is not available for booking' };
+    }
+
+    const price = Number(data.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      console.error(`Package ${packageId} has an invalid catalogue price:`, data.price);
+      return { success: false, code: 'PACKAGE_PRICE_INVALID', error: 'Package price is not configured' };
+    }
+
+    return {
+      success: true,
+      package: {
+        id: String(packageId),
+        name: data.name || 'Kenya Safari Package',
+        price,
+        currency: (data.currency || 'gbp').toLowerCase(),
+        pricing: getPricingBasis(data.pricing),
+        version: data.version || 1,
+        // Fixed-departure packages carry their own dates
+        startDate: formatDateOnly(data.startDate),
+        endDate: formatDateOnly(data.endDate)
+      }
+    };
+  }
+
+  // Catalogue prices are per traveller unless marked 'per_booking'
+  function getPricingBasis(pricing) {
+    return pricing === 'per_booking' ? 'per_booking' : 'per_person';
+  }
+
+  /**
+   * Look up the add-ons (activity upgrades) chosen for a package in the
+   * server-owned `addOns` collection. Documents look like:
+   *   { name, price, currency: 'gbp', pricing: 'per_booking', active: true, packageIds: ['abc'] }
+   * where `packageIds` optionally limits the packages an add-on is sold with.
+   */
+  async function getCatalogueAddOns(addOnIds, packageInfo) {
+    const addOns = [];
+
+    for (const addOnId of addOnIds) {
+      const result = await safeFirestoreGet('addOns', String(addOnId));
+      if (!result.success) {
+        if (result.exists === false) {
+          return { success: false, code: 'ADD_ON_NOT_FOUND', error: `Add-on not found: ${addOnId}` };
+        }
+        return { success: false, code: 'CATALOGUE_UNAVAILABLE', error: 'Unable to load package catalogue' };
+      }
+
+      const data = result.data;
+      const unavailable = { success: false, code: 'ADD_ON_UNAVAILABLE', error: `Add-on ${addOnId} is not available for this package` };
+
+      if (data.active !== true) {
+        return unavailable;
+      }
+      if (Array.isArray(data.packageIds) && data.packageIds.length > 0 &&
+          !data.packageIds.includes(packageInfo.id)) {
+        return unavailable;
+      }
+      if ((data.currency || 'gbp').toLowerCase() !== packageInfo.currency) {
+        console.error(`Add-on ${addOnId} is priced in ${data.currency}, package ${packageInfo.id} in ${packageInfo.currency}`);
+        return unavailable;
+      }
+
+      const price = Number(data.price);
+      if (!Number.isFinite(price) || price <= 0) {
+        console.error(`Add-on ${addOnId} has an invalid catalogue price:`, data.price);
+        return { success: false, code: 'ADD_ON_PRICE_INVALID', error: 'Add-on price is not configured' };
+      }
+
+      addOns.push({
+        id: String(addOnId),
+        name: data.name || 'Activity upgrade',
+        price,
+        pricing: getPricingBasis(data.pricing)
+      });
+    }
+
+    return { success: true, addOns };
+  }
+
+  /**
+   * Price a package order from the catalogue. The package and each add-on
+   * become one item, charged once per traveller or once per booking, and
+   * `subtotal` is their total before any coupon.
+   */
+  async function priceOrder(packageInfo, { travellers = 1, addOnIds = [] } = {}) {
+    const addOnResult = await getCatalogueAddOns(addOnIds, packageInfo);
+    if (!addOnResult.success) {
+      return addOnResult;
+    }
+
+    const toItem = (type, entry) => {
+      const quantity = entry.pricing === 'per_person' ? travellers : 1;
+      return {
+        type,
+        id: entry.id,
+        name: entry.name,
+        pricing: entry.pricing,
+        unitAmount: entry.price,
+        quantity,
+        amount: roundAmount(entry.price * quantity)
+      };
+    };
+
+    const items = [
+      toItem('package', packageInfo),
+      ...addOnResult.addOns.map(addOn => toItem('add_on', addOn))
+    ];
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+    return { success: true, travellers, items, subtotal };
+  }
+
+  /**
+   * Work out the travel dates for a booking. Fixed departures always use the
+   * catalogue's dates; customers only pick dates for packages without them.
+   * Trips that have already started can't be booked.
+   */
+  function resolveBookingDates({ startDate, endDate }, packageInfo) {
+    const fixedDeparture = Boolean(packageInfo.startDate);
+    const start = fixedDeparture ? packageInfo.startDate : (startDate ? formatDateOnly(startDate) : null);
+    const end = fixedDeparture ? packageInfo.endDate : (endDate ? formatDateOnly(endDate) : null);
+
+    if (!fixedDeparture && ((startDate && !start) || (endDate && !end))) {
+      return { valid: false, error: 'Dates must be in YYYY-MM-DD format' };
+    }
+    if (start && start < formatDateOnly(new Date())) {
+      return { valid: false, error: fixedDeparture ? 'This departure has already left' : 'startDate cannot be in the past' };
+    }
+    if (start && end && end < start) {
+      return { valid: false, error: 'endDate cannot be before startDate' };
+    }
+
+    return { valid: true, startDate: start || null, endDate: end || null };
+  }
+
+  //===========================================================================
+  // COUPONS
+  //===========================================================================
+
+  /**
+   * Coupons live in the `coupons` collection, keyed by upper-case code:
+   *   {
+   *     type: 'percentage' | 'fixed',
+   *     value: 10,                      // percent, or major units for fixed
+   *     currency: 'gbp',                // fixed coupons only
+   *     active: true,
+   *     startsAt, expiresAt,            // optional Timestamp / ISO string
+   *     maxRedemptions: 100,            // optional global cap
+   *     maxRedemptionsPerUser: 1,       // optional per-user cap
+   *     packageIds: ['abc'],            // optional package restriction
+   *     minSpend: 500,                  // optional minimum order subtotal
+   *     redemptionCount: 0,             // maintained by redeemCoupon
+   *     userRedemptions: { uid: 1 }     // maintained by redeemCoupon
+   *   }
+   */
+  function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // Check a coupon against a catalogue package and work out the discount on
+  // the order subtotal (the package price alone when not given)
+  async function validateCoupon(couponCode, { userId, packageInfo, subtotal = packageInfo.price }) {
+    const code = normalizeCouponCode(couponCode);
+    const invalid = (errorCode, error) => ({ valid: false, code: errorCode, error });
+
+    if (!code) {
+      return invalid('COUPON_NOT_FOUND', 'Coupon code not recognised');
+    }
+
+    const result = await safeFirestoreGet('coupons', code);
+    if (!result.success) {
+      if (result.exists === false) {
+        return invalid('COUPON_NOT_FOUND', 'Coupon code not recognised');
+      }
+      return { valid: false, code: 'COUPON_UNAVAILABLE', error: 'Unable to check coupon' };
+    }
+
+    const coupon = result.data;
+    const now = new Date();
+    const startsAt = toDate(coupon.startsAt);
+    const expiresAt = toDate(coupon.expiresAt);
+
+    if (coupon.active !== true) {
+      return invalid('COUPON_INACTIVE', 'This coupon is no longer active');
+    }
+    if (startsAt && now < startsAt) {
+      return invalid('COUPON_NOT_STARTED', 'This coupon is not valid yet');
+    }
+    if (expiresAt && now > expiresAt) {
+      return invalid('COUPON_EXPIRED', 'This coupon has expired');
+    }
+    if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+      return invalid('COUPON_USAGE_LIMIT', 'This coupon has reached its usage limit');
+    }
+    if (coupon.maxRedemptionsPerUser && userId) {
+      const userCount = (coupon.userRedemptions || {})[userId] || 0;
+      if (userCount >= coupon.maxRedemptionsPerUser) {
+        return invalid('COUPON_USER_LIMIT', 'You have already used this coupon');
+      }
+    }
+    if (Array.isArray(coupon.packageIds) && coupon.packageIds.length > 0 &&
+        !coupon.packageIds.includes(packageInfo.id)) {
+      return invalid('COUPON_NOT_APPLICABLE', 'This coupon cannot be used for this package');
+    }
+    if (coupon.minSpend && subtotal < coupon.minSpend) {
+      return invalid('COUPON_MIN_SPEND', 
+        `This coupon requires a minimum spend of ${formatCurrency(coupon.minSpend, packageInfo.currency)}`);
+    }
+
+    const value = Number(coupon.value);
+    let discountAmount;
+
+    if (coupon.type === 'percentage' && value > 0 && value <= 100) {
+      discountAmount = roundAmount(subtotal * value / 100);
+    } else if (coupon.type === 'fixed' && value > 0) {
+      if (coupon.currency && coupon.currency.toLowerCase() !== packageInfo.currency) {
+        return invalid('COUPON_NOT_APPLICABLE', 'This coupon cannot be used for this currency');
+      }
+      discountAmount = Math.min(roundAmount(value), subtotal);
+    } else {
+      console.error(`Coupon ${code} has an invalid type/value:`, coupon.type, coupon.value);
+      return invalid('COUPON_INVALID', 'This coupon is not configured correctly');
+    }
+
+    return {
+      valid: true,
+      coupon: { code, type: coupon.type, value },
+      discountAmount
+    };
+  }
+
+  /**
+   * Count a coupon redemption for a completed payment. Runs in a transaction
+   * keyed on the checkout session, so calling it again for the same session
+   * (verify endpoint + webhook, page refreshes) never double counts.
+   *
+   * With `strict` the redemption is refused if a usage cap has been reached,
+   * for cases where no payment has been taken yet. Without it the payment
+   * stands, so a redemption over the cap (`overLimit`) or of a coupon deleted
+   * since checkout (`missing`) is reported for the caller to flag.
+   * `onRedeem(transaction)` lets the caller add its own writes to the same
+   * transaction.
+   */
+  async function redeemCoupon(couponCode, { sessionId, userId, packageId, discountAmount, strict = false, onRedeem }) {
+    const code = normalizeCouponCode(couponCode);
+
+    try {
+      const couponRef = db.collection('coupons').doc(code);
+      const redemptionRef = db.collection('couponRedemptions').doc(sessionId);
+
+      const outcome = await db.runTransaction(async (transaction) => {
+        const [couponDoc, redemptionDoc] = await Promise.all([
+          transaction.get(couponRef),
+          transaction.get(redemptionRef)
+        ]);
+
+        if (redemptionDoc.exists) {
+          return { redeemed: false };
+        }
+
+        if (!couponDoc.exists) {
+          if (!strict) return { redeemed: false, missing: true };
+          throw new Error(`Coupon ${code} no longer exists`);
+        }
+
+        const coupon = couponDoc.data();
+        const overLimit = Boolean(coupon.maxRedemptions && 
+          (coupon.redemptionCount || 0) >= coupon.maxRedemptions);
+        const overUserLimit = Boolean(coupon.maxRedemptionsPerUser && userId &&
+          ((coupon.userRedemptions || {})[userId] || 0) >= coupon.maxRedemptionsPerUser);
+
+        if (strict && (overLimit || overUserLimit)) {
+          return { 
+            redeemed: false, 
+            refused: true,
+            code: overLimit ? 'COUPON_USAGE_LIMIT' : 'COUPON_USER_LIMIT'
+          };
+        }
+
+        // Otherwise the payment has already been taken, so record it even if
+        // the cap was reached by a concurrent checkout - but flag it for review
+        transaction.set(redemptionRef, {
+          couponCode: code,
+          sessionId,
+          userId: userId || null,
+          packageId: packageId || null,
+          discountAmount: discountAmount || 0,
+          overLimit: overLimit || overUserLimit,
+          createdAt: FieldValue.serverTimestamp()
+        });
+
+        const increment = FieldValue.increment(1);
+        if (userId) {
+          transaction.update(couponRef, 
+            'redemptionCount', increment,
+            new FieldPath('userRedemptions', userId), increment,
+            'updatedAt', FieldValue.serverTimestamp());
+        } else {
+          transaction.update(couponRef, 
+            'redemptionCount', increment,
+            'updatedAt', FieldValue.serverTimestamp());
+        }
+
+        if (typeof onRedeem === 'function') {
+          onRedeem(transaction);
+        }
+
+        if (overLimit || overUserLimit) {
+          console.warn(`Coupon ${code} redeemed beyond its limit by session ${sessionId}`);
+        }
+        return { redeemed: true, overLimit: overLimit || overUserLimit };
+      });
+
+      if (outcome.refused) {
+        return { 
+          success: false, 
+          redeemed: false, 
+          code: outcome.code, 
+          error: outcome.code === 'COUPON_USAGE_LIMIT' 
+            ? 'This coupon has reached its usage limit' 
+            : 'You have already used this coupon'
+        };
+      }
+
+      if (outcome.redeemed) {
+        console.log(`Coupon ${code} redeemed for session ${sessionId}`);
+      }
+      return { 
+        success: true, 
+        redeemed: outcome.redeemed, 
+        overLimit: Boolean(outcome.overLimit), 
+        missing: Boolean(outcome.missing) 
+      };
+    } catch (error) {
+      console.error(`Error redeeming coupon ${code} for session ${sessionId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the server-computed pricing for a package checkout session, falling
+   * back to the session metadata for sessions created before pricing was
+   * recorded in `checkoutSessions`.
+   */
+  async function getCheckoutPricing(session) {
+    const metadata = session.metadata || {};
+    const result = await safeFirestoreGet('checkoutSessions', session.id);
+
+    if (result.success) {
+      const data = result.data;
+      return {
+        userId: data.userId,
+        packageId: data.packageId,
+        packageName: data.packageName,
+        currency: data.currency,
+        originalAmount: data.originalAmount,
+        discountAmount: data.discountAmount,
+        finalAmount: data.finalAmount,
+        couponCode: data.couponCode || null,
+        travellers: data.travellers || 1,
+        items: data.items || null,
+        paymentPlan: data.paymentPlan || 'full',
+        depositAmount: data.depositAmount || null,
+        balanceAmount: data.balanceAmount || 0,
+        balanceDueDate: data.balanceDueDate || null,
+        startDate: data.startDate || null,
+        endDate: data.endDate || null
+      };
+    }
+
+    console.warn(`No pricing record for session ${session.id}, using metadata`);
+    const paymentPlan = metadata.paymentPlan || 'full';
+    const balanceAmount = parseFloat(metadata.balanceAmount || 0);
+    const finalAmount = roundAmount(session.amount_total / 100 + balanceAmount);
+    return {
+      userId: metadata.userId,
+      packageId: metadata.packageId,
+      packageName: metadata.packageName,
+      currency: session.currency,
+      originalAmount: parseFloat(metadata.originalAmount || finalAmount),
+      discountAmount: parseFloat(metadata.discountAmount || 0),
+      finalAmount,
+      couponCode: metadata.couponCode && metadata.couponCode !== 'none' ? metadata.couponCode : null,
+      travellers: parseInt(metadata.travellers, 10) || 1,
+      // Metadata only carries totals, not the itemised order
+      items: null,
+      paymentPlan,
+      depositAmount: paymentPlan === 'deposit' ? session.amount_total / 100 : null,
+      balanceAmount,
+      balanceDueDate: metadata.balanceDueDate || null,
+      startDate: metadata.startDate || null,
+      endDate: metadata.endDate || null
+    };
+  }
+
+  //===========================================================================
+  // PACKAGE BOOKINGS
+  //===========================================================================
+
+  // Short human-friendly reference shown to customers, e.g. KOB-4F9A2C1D
+  // Tidy up after a package checkout that expired unpaid
+  async function expirePackageCheckout(session) {
+    const metadata = session.metadata || {};
+    if (metadata.type !== 'package') return false;
+
+    await safeFirestoreUpdate('checkoutSessions', session.id, { status: 'expired' });
+
+    if (metadata.stripeCouponId) {
+      try {
+        await stripe.coupons.del(metadata.stripeCouponId);
+        console.log(`Deleted coupon ${metadata.stripeCouponId} of expired session ${session.id}`);
+      } catch (error) {
+        // Already deleted by an earlier delivery of this event
+        if (error.code !== 'resource_missing') throw error;
+      }
+    }
+    return true;
+  }
+
+  function getBookingReference(sessionId) {
+    return `KOB-${sessionId.slice(-8).toUpperCase()}`;
+  }
+
+  /**
+   * Record a paid package checkout session as a `bookings` document.
+   * The document ID is the Stripe session ID, so the webhook and the
+   * verify endpoint can both call this and only one booking is written.
+   */
+  async function recordPackageBooking(session, pricing) {
+    try {
+      if (!pricing) {
+        pricing = await getCheckoutPricing(session);
+      }
+
+      const customerDetails = session.customer_details || {};
+      const booking = {
+        bookingReference: getBookingReference(session.id),
+        userId: pricing.userId || session.client_reference_id || null,
+        packageId: pricing.packageId || null,
+        packageName: pricing.packageName || 'Kenya Safari Package',
+        currency: pricing.currency || session.currency,
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount,
+        amountPaid: session.amount_total / 100,
+        couponCode: pricing.couponCode,
+        travellers: pricing.travellers || 1,
+        items: pricing.items || null,
+        // Deposit bookings track the balance until it is paid
+        paymentPlan: pricing.paymentPlan || 'full',
+        totalAmount: pricing.finalAmount,
+        balanceAmount: pricing.balanceAmount || 0,
+        balanceDueDate: pricing.balanceDueDate || null,
+        balanceStatus: pricing.paymentPlan === 'deposit' ? 'pending' : 'not_required',
+        startDate: pricing.startDate || null,
+        endDate: pricing.endDate || null,
+        customerEmail: customerDetails.email || session.customer_email || null,
+        customerName: customerDetails.name || null,
+        stripeSessionId: session.id,
+        stripePaymentIntentId: session.payment_intent || null,
+        stripeCustomerId: session.customer || null,
+        paymentStatus: session.payment_status,
+        status: 'confirmed',
+        source: 'stripe',
+        confirmationStatus: 'pending'
+      };
+
+      // False when another path recorded this booking first
+      const created = await repositories.bookings.create(session.id, booking);
+
+      // Count the coupon redemption now that the payment has gone through.
+      // redeemCoupon is idempotent per session, so retrying here is safe.
+      if (pricing.couponCode) {
+        const redemption = await redeemCoupon(pricing.couponCode, {
+          sessionId: session.id,
+          userId: booking.userId,
+          packageId: booking.packageId,
+          discountAmount: pricing.discountAmount
+        });
+
+        // Failing here makes the webhook answer with an error, so Stripe retries
+        if (!redemption.success) {
+          throw new Error(`Could not redeem coupon ${pricing.couponCode}: ${redemption.error}`);
+        }
+
+        // The customer has paid, so keep the booking but flag it for review
+        if (redemption.overLimit || redemption.missing) {
+          await repositories.bookings.update(session.id, {
+            couponReview: redemption.missing ? 'coupon_missing' : 'over_limit'
+          });
+        }
+      }
+
+      // Confirmation emails go out once, whichever path gets here first
+      await processBookingNotifications(session.id);
+
+      if (!created) {
+        const { id, ...existing } = await repositories.bookings.get(session.id);
+        return { success: true, created: false, id, booking: existing };
+      }
+
+      console.log(`Booking ${booking.bookingReference} recorded for session ${session.id}`);
+
+      await safeFirestoreUpdate('checkoutSessions', session.id, {
+        status: 'completed',
+        bookingId: session.id
+      });
+
+      return { success: true, created: true, id: session.id, booking };
+    } catch (error) {
+      console.error(`Error recording booking for session ${session.id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send the customer confirmation and admin alert for a booking exactly once
+  async function processBookingNotifications(bookingId) {
+    try {
+      if (!(await repositories.bookings.claimNotification(bookingId, 'confirmationStatus'))) {
+        return false;
+      }
+
+      const booking = await repositories.bookings.get(bookingId);
+
+      // Paid bookings have the Stripe checkout email; free ones need a lookup
+      if (!booking.customerEmail && booking.userId) {
+        const user = await getFirebaseUser(booking.userId);
+        if (user) {
+          booking.customerEmail = user.email || null;
+          booking.customerName = booking.customerName || user.displayName || null;
+        }
+      }
+
+      const customerSent = await sendBookingConfirmation(booking);
+      await sendAdminBookingNotification(booking);
+
+      await repositories.bookings.update(bookingId, {
+        confirmationStatus: customerSent ? 'sent' : 'failed',
+        confirmationSentAt: FieldValue.serverTimestamp()
+      });
+      return customerSent;
+    } catch (error) {
+      console.error(`Error sending notifications for booking ${bookingId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a booking made free by a 100% coupon. The coupon redemption and
+   * the booking are written in one transaction, and the redemption is refused
+   * outright if a usage cap has been reached since the coupon was validated.
+   */
+  async function recordFreeBooking({ userId, packageInfo, order, coupon, discountAmount, dates }) {
+    try {
+      const bookingId = repositories.bookings.newId();
+      const booking = {
+        bookingReference: getBookingReference(bookingId),
+        userId,
+        packageId: packageInfo.id,
+        packageName: packageInfo.name,
+        catalogueVersion: packageInfo.version,
+        currency: packageInfo.currency,
+        originalAmount: order.subtotal,
+        discountAmount,
+        amountPaid: 0,
+        couponCode: coupon.code,
+        travellers: order.travellers,
+        items: order.items,
+        paymentPlan: 'full',
+        totalAmount: 0,
+        balanceAmount: 0,
+        balanceDueDate: null,
+        balanceStatus: 'not_required',
+        startDate: dates.startDate,
+        endDate: dates.endDate,
+        customerEmail: null,
+        customerName: null,
+        stripeSessionId: null,
+        stripePaymentIntentId: null,
+        stripeCustomerId: null,
+        paymentStatus: 'no_payment_required',
+        status: 'confirmed',
+        source: 'free_coupon',
+        confirmationStatus: 'pending'
+      };
+
+      const redemption = await redeemCoupon(coupon.code, {
+        sessionId: bookingId,
+        userId,
+        packageId: packageInfo.id,
+        discountAmount,
+        strict: true,
+        onRedeem: (transaction) => repositories.bookings.create(bookingId, booking, transaction)
+      });
+
+      if (!redemption.success) {
+        return { success: false, code: redemption.code, error: redemption.error };
+      }
+
+      console.log(`Free booking ${booking.bookingReference} recorded with coupon ${coupon.code}`);
+
+      await processBookingNotifications(bookingId);
+      return { success: true, created: true, id: bookingId, booking };
+    } catch (error) {
+      console.error('Error recording free booking:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  //===========================================================================
+  // DEPOSITS AND BALANCE PAYMENTS
+  //===========================================================================
+
+  // Claim key for the notice sent once a balance is overdue - after every reminder
+  const OVERDUE_BALANCE_REMINDER = -1;
+
+  let balanceRemindersRunning = false;
+
+  /**
+   * Work out what is charged at checkout. 'full' charges the whole amount;
+   * 'deposit' charges config.deposits.percent of it and leaves a balance due
+   * config.deposits.balanceDueDays before the catalogue departure date -
+   * never a date from the request, which the customer could push back.
+   */
+  function getPaymentPlan(paymentPlan, amount, packageInfo) {
+    if (paymentPlan !== 'deposit') {
+      return { valid: true, paymentPlan: 'full', amountDue: amount, depositAmount: null, balanceAmount: 0, balanceDueDate: null };
+    }
+
+    if (!config.deposits.enabled) {
+      return { valid: false, error: 'Deposits are not available - please pay in full' };
+    }
+    if (!packageInfo.startDate) {
+      return { valid: false, error: 'Deposits are only available for fixed departures - please pay in full' };
+    }
+
+    const dueDate = new Date(`${packageInfo.startDate}T00:00:00Z`);
+    dueDate.setUTCDate(dueDate.getUTCDate() - config.deposits.balanceDueDays);
+    const balanceDueDate = formatDateOnly(dueDate);
+    if (balanceDueDate <= formatDateOnly(new Date())) {
+      return { valid: false, error: 'Travel is too soon to pay by deposit - please pay in full' };
+    }
+
+    const depositAmount = roundAmount(amount * config.deposits.percent / 100);
+    return {
+      valid: true,
+      paymentPlan: 'deposit',
+      amountDue: depositAmount,
+      depositAmount,
+      balanceAmount: roundAmount(amount - depositAmount),
+      balanceDueDate
+    };
+  }
+
+  /**
+   * The Stripe Payment Link for a deposit booking's balance, created the
+   * first time it is needed. Links don't expire, so the one link goes in
+   * every reminder; it is deactivated once the balance is paid.
+   */
+  async function issueBalancePaymentLink(booking) {
+    if (booking.balancePaymentLinkUrl) {
+      return booking.balancePaymentLinkUrl;
+    }
+
+    const price = await stripe.prices.create({
+      currency: booking.currency,
+      unit_amount: Math.round(booking.balanceAmount * 100),
+      product_data: { name: `Balance: ${booking.packageName} (${booking.bookingReference})` }
+    });
+
+    // Payment Link metadata is copied to the checkout sessions it creates
+    const paymentLink = await stripe.paymentLinks.create({
+      line_items: [{ price: price.id, quantity: 1 }],
+      metadata: {
+        type: 'package_balance',
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        userId: booking.userId || '',
+        packageId: booking.packageId || ''
+      },
+      after_completion: {
+        type: 'redirect',
+        redirect: { url: `${config.urls.packageSuccess}?session_id={CHECKOUT_SESSION_ID}` }
+      }
+    });
+
+    await repositories.bookings.update(booking.id, {
+      balancePaymentLinkId: paymentLink.id,
+      balancePaymentLinkUrl: paymentLink.url,
+      balancePaymentLinkIssuedAt: FieldValue.serverTimestamp()
+    });
+
+    console.log(`Balance payment link ${paymentLink.id} issued for booking ${booking.bookingReference}`);
+    return paymentLink.url;
+  }
+
+  /**
+   * Switch off a deposit booking's balance payment link, for bookings that
+   * are refunded or disputed. The link is cleared so a fresh one is issued
+   * if the balance is collected again.
+   */
+  async function deactivateBalancePaymentLink(bookingId, booking) {
+    if (!booking.balancePaymentLinkId) return false;
+
+    await stripe.paymentLinks.update(booking.balancePaymentLinkId, { active: false });
+    await repositories.bookings.update(bookingId, {
+      balancePaymentLinkId: null,
+      balancePaymentLinkUrl: null
+    });
+    console.log(`Deactivated balance payment link for booking ${booking.bookingReference}`);
+    return true;
+  }
+
+  /**
+   * Record a paid balance checkout session against its booking. The webhook
+   * and the verify endpoint can both call this; the booking is only updated
+   * (and the customer emailed) once.
+   */
+  async function applyBalancePayment(session) {
+    const bookingId = session.metadata.bookingId;
+
+    try {
+      const result = await repositories.bookings.recordBalancePayment(bookingId, {
+        sessionId: session.id,
+        paymentIntentId: session.payment_intent || null,
+        amount: session.amount_total / 100
+      });
+
+      if (!result.found) {
+        console.error(`Balance paid for unknown booking ${bookingId} (session ${session.id})`);
+        return { success: false, error: 'Booking not found' };
+      }
+
+      if (result.duplicate) {
+        console.error(`Balance for booking ${result.booking.bookingReference} was paid again by session ${session.id} - refund it from the Stripe dashboard`);
+      }
+
+      if (result.rejected) {
+        console.error(`Balance paid by session ${session.id} for ${result.booking.status} booking ${result.booking.bookingReference} ` +
+          'was not applied - refund it from the Stripe dashboard');
+      }
+
+      // Stop the link being paid a second time
+      if ((result.applied || result.rejected) && result.booking.balancePaymentLinkId) {
+        await stripe.paymentLinks.update(result.booking.balancePaymentLinkId, { active: false })
+          .catch(error => console.error(`Could not deactivate payment link for booking ${bookingId}:`, error.message));
+      }
+
+      if (result.applied) {
+        console.log(`Balance paid for booking ${result.booking.bookingReference}, now paid in full`);
+        await sendBalancePaidConfirmation(result.booking);
+      }
+
+      return { success: true, applied: result.applied, booking: result.booking };
+    } catch (error) {
+      console.error(`Error applying balance payment for session ${session.id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Email customers whose balance falls due within one of
+   * config.deposits.reminderDays, and mark unpaid balances overdue once the
+   * due date has passed (with one last notice).
+   */
+  async function processBalanceReminders() {
+    if (balanceRemindersRunning) return;
+    balanceRemindersRunning = true;
+
+    try {
+      const today = formatDateOnly(new Date());
+
+      for (const booking of await repositories.bookings.listWithBalanceDue()) {
+        try {
+          // Refunded and disputed bookings aren't chased for their balance
+          if (!booking.balanceDueDate || booking.status !== 'confirmed') continue;
+
+          const daysLeft = Math.round((Date.parse(booking.balanceDueDate) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+          const overdue = daysLeft < 0;
+
+          if (overdue && booking.balanceStatus !== 'overdue') {
+            await repositories.bookings.update(booking.id, { balanceStatus: 'overdue' });
+            booking.balanceStatus = 'overdue';
+            console.warn(`Balance for booking ${booking.bookingReference} is overdue`);
+          }
+
+          // The closest reminder reached - earlier ones that were missed are skipped
+          const daysBefore = overdue
+            ? OVERDUE_BALANCE_REMINDER
+            : Math.min(...config.deposits.reminderDays.filter(days => daysLeft <= days));
+          if (!Number.isFinite(daysBefore)) continue;
+
+          const paymentUrl = await issueBalancePaymentLink(booking);
+          if (await repositories.bookings.claimBalanceReminder(booking.id, daysBefore)) {
+            await sendBalanceReminder(booking, paymentUrl, daysLeft);
+          }
+        } catch (error) {
+          console.error(`Error processing balance reminder for booking ${booking.id}:`, error);
+        }
+      }
+    } finally {
+      balanceRemindersRunning = false;
+    }
+  }
+
+  function setupBalanceReminders() {
+    if (!config.deposits.enabled) return;
+
+    setInterval(() => {
+      processBalanceReminders().catch(error => console.error('Error processing balance reminders:', error));
+    }, config.deposits.checkIntervalSeconds * 1000);
+    console.log(`Balance reminders checked every ${config.deposits.checkIntervalSeconds / 60} minutes (${config.deposits.reminderDays.join(', ')} days before due)`);
+  }
+
+  //===========================================================================
+  // SAFE FIRESTORE HELPERS
+  //===========================================================================
+
+  // Safely save data to Firestore
+  async function safeFirestoreAdd(collectionName, data) {
+    try {
+      if (!db) throw new Error('Firestore not initialized');
+      const result = await db.collection(collectionName).add({
+        ...data,
+        createdAt: FieldValue.serverTimestamp()
+      });
+      console.log(`Successfully added document to ${collectionName}: ${result.id}`);
+      return { success: true, id: result.id };
+    } catch (error) {
+      console.error(`Error adding document to ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Safely get data from Firestore
+  async function safeFirestoreGet(collectionName, docId) {
+    try {
+      if (!db) throw new Error('Firestore not initialized');
+      const doc = await db.collection(collectionName).doc(docId).get();
+      if (!doc.exists) {
+        return { success: false, exists: false, message: 'Document not found' };
+      }
+      return { success: true, exists: true, data: doc.data() };
+    } catch (error) {
+      console.error(`Error getting document from ${collectionName}/${docId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Safely create or overwrite a document with a known ID in Firestore
+  async function safeFirestoreSet(collectionName, docId, data, options = {}) {
+    try {
+      if (!db) throw new Error('Firestore not initialized');
+      await db.collection(collectionName).doc(docId).set({
+        ...data,
+        updatedAt: FieldValue.serverTimestamp()
+      }, options);
+      console.log(`Successfully set document in ${collectionName}/${docId}`);
+      return { success: true, id: docId };
+    } catch (error) {
+      console.error(`Error setting document in ${collectionName}/${docId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Safely update data in Firestore
+  async function safeFirestoreUpdate(collectionName, docId, data) {
+    try {
+      if (!db) throw new Error('Firestore not initialized');
+      await db.collection(collectionName).doc(docId).update({
+        ...data,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      console.log(`Successfully updated document in ${collectionName}/${docId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error updating document in ${collectionName}/${docId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  //===========================================================================
+  // EMAIL NOTIFICATION FUNCTIONS
+  //===========================================================================
+
+  async function getGuideInfo(guideId, guideName) {
+    const toGuideInfo = guide => ({
+      id: guide.id,
+      name: guide.fullName || guide.name || guideName,
+      email: guide.email,
+      stripeAccountId: guide.stripeAccountId || null,
+      stripePayoutsEnabled: guide.stripePayoutsEnabled === true,
+      exists: true
+    });
+
+    try {
+      // First attempt: Try to get guide by ID directly
+      if (guideId) {
+        console.log(`Attempting to fetch guide with ID: ${guideId}`);
+        const guide = await repositories.guides.get(guideId);
+
+        if (guide) {
+          console.log(`Found guide by ID: ${guideId}, Name: ${guide.fullName || guide.name}`);
+          return toGuideInfo(guide);
+        } else {
+          console.log(`No guide found with ID: ${guideId}, falling back to name search`);
+        }
+      }
+
+      // Second attempt: Try to find guide by name
+      if (guideName) {
+        console.log(`Searching for guide by name: ${guideName}`);
+        const guide = await repositories.guides.findByName(guideName);
+
+        if (guide) {
+          console.log(guide.caseInsensitive
+            ? `Found guide with case-insensitive match on ${guide.matchedField}: ${guide[guide.matchedField]}`
+            : `Found guide by ${guide.matchedField}: ${guideName}, ID: ${guide.id}`);
+          return toGuideInfo(guide);
+        }
+      }
+
+      // If we get here, no guide was found by either method
+      console.log(`No guide found for ID: ${guideId} or name: ${guideName}`);
+      return {
+        exists: false,
+        name: guideName || 'Unknown Guide',
+        email: null
+      };
+    } catch (error) {
+      console.error('Error finding guide:', error);
+      return {
+        exists: false,
+        name: guideName || 'Unknown Guide',
+        email: null,
+        error: error.message
+      };
+    }
+  }
+  /**
+   * Send email notification to admin about guide tip
+   */
+  async function sendGuideNotification(guideId, guideName, amount, userId, userName, message, currency = 'gbp') {
+    try {
+      // Get guide information using the improved function
+      const guideInfo = await getGuideInfo(guideId, guideName);
+
+      if (!guideInfo.exists || !guideInfo.email) {
+        console.error(`Cannot send notification: Guide not found or no email for ID: ${guideId}, Name: ${guideName}`);
+        return false;
+      }
+
+      // Get admin emails (multiple supported)
+      const adminEmails = getAdminEmails();
+
+      const email = await emailRenderer.render('tip-guide', { 
+        guideName: guideInfo.name, amount, currency, userName, message 
+      });
+
+      // Build the email
+      const sendSmtpEmail = {
+        to: [{ email: guideInfo.email, name: guideInfo.name }],
+        cc: adminEmails,
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      // Queue the email - the outbox retries it if sending fails
+      const queued = await queueEmail('tip-guide', sendSmtpEmail, {
+        guideId: guideInfo.id,
+        guideName: guideInfo.name,
+        tipAmount: amount,
+        tipperName: userName || 'Anonymous',
+        message: message || ''
+      });
+
+      // Also send admin notification
+      await sendAdminGuideNotification(guideInfo.name, amount, userName, message, currency);
+
+      console.log(`Tip notification email queued for guide ${guideInfo.name} (${guideInfo.email})`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending guide notification email:', error);
+      return false;
+    }
+  }
+  function getAdminEmails() {
+    // ADMIN_EMAILS (comma-separated) or ADMIN_EMAIL, resolved in config.js
+    if (config.email.adminEmails.length === 0) {
+      console.warn('No admin emails configured. Set ADMIN_EMAILS or ADMIN_EMAIL environment variable.');
+    }
+    return config.email.adminEmails.map(email => ({ email, name: 'Admin' }));
+  }
+  async function sendAdminGuideNotification(guideName, amount, userName, message, currency = 'gbp') {
+    try {
+      // Get admin emails
+      const adminEmails = getAdminEmails();
+
+      if (adminEmails.length === 0) {
+        console.warn('No admin emails configured. Cannot send admin notification.');
+        return false;
+      }
+
+      const email = await emailRenderer.render('tip-guide-admin', { guideName, amount, currency, userName, message });
+
+      // Build the email
+      const sendSmtpEmail = {
+        to: adminEmails,
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      // Queue the email - the outbox retries it if sending fails
+      const queued = await queueEmail('tip-guide-admin', sendSmtpEmail, {
+        guideName,
+        tipAmount: amount,
+        tipperName: userName || 'Anonymous'
+      });
+
+      console.log(`Admin notification queued for ${adminEmails.length} admins for guide tip to ${guideName}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending admin notification for guide tip:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send email notification to company admins about tip
+   */
+  async function sendCompanyNotification(amount, userId, userName, message, currency = 'gbp') {
+    try {
+      // Get admin emails
+      const adminEmails = getAdminEmails();
+
+      if (adminEmails.length === 0) {
+        console.warn('No admin emails configured. Cannot send company tip notification.');
+        return false;
+      }
+
+      const email = await emailRenderer.render('tip-company', { amount, currency, userName, message });
+
+      // Build the email
+      const sendSmtpEmail = {
+        to: adminEmails,
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      // Queue the email - the outbox retries it if sending fails
+      const queued = await queueEmail('tip-company', sendSmtpEmail, {
+        tipAmount: amount,
+        tipperName: userName || 'Anonymous',
+        message: message || ''
+      });
+
+      console.log(`Company tip notification email queued for ${adminEmails.length} admins`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending company notification email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send booking confirmation email to the customer
+   */
+  async function sendBookingConfirmation(booking) {
+    try {
+      if (!booking.customerEmail) {
+        console.error(`Cannot send booking confirmation: no email for booking ${booking.bookingReference}`);
+        return false;
+      }
+
+      const email = await emailRenderer.render('booking-confirmation', { booking });
+
+      const sendSmtpEmail = {
+        to: [{ email: booking.customerEmail, name: booking.customerName || booking.customerEmail }],
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('booking-confirmation', sendSmtpEmail, {
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        amountPaid: booking.amountPaid
+      });
+
+      console.log(`Booking confirmation queued for ${booking.customerEmail} for ${booking.bookingReference}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending booking confirmation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send new booking alert to admins
+   */
+  async function sendAdminBookingNotification(booking) {
+    try {
+      const adminEmails = getAdminEmails();
+
+      if (adminEmails.length === 0) {
+        console.warn('No admin emails configured. Cannot send booking notification.');
+        return false;
+      }
+
+      const email = await emailRenderer.render('booking-admin', { booking });
+
+      const sendSmtpEmail = {
+        to: adminEmails,
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('booking-admin', sendSmtpEmail, {
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        amountPaid: booking.amountPaid
+      });
+
+      console.log(`Booking notification queued for ${adminEmails.length} admins for ${booking.bookingReference}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending admin booking notification email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remind a customer that their balance is due (or overdue), with the link to pay it
+   */
+  async function sendBalanceReminder(booking, paymentUrl, daysLeft) {
+    try {
+      if (!booking.customerEmail) {
+        console.error(`Cannot send balance reminder: no email for booking ${booking.bookingReference}`);
+        return false;
+      }
+
+      const email = await emailRenderer.render('booking-balance-reminder', {
+        booking,
+        paymentUrl,
+        daysLeft,
+        overdue: daysLeft < 0
+      });
+
+      const sendSmtpEmail = {
+        to: [{ email: booking.customerEmail, name: booking.customerName || booking.customerEmail }],
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('booking-balance-reminder', sendSmtpEmail, {
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        balanceAmount: booking.balanceAmount,
+        balanceDueDate: booking.balanceDueDate
+      });
+
+      console.log(`Balance reminder queued for ${booking.customerEmail} for ${booking.bookingReference} (${daysLeft} days left)`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending balance reminder email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Confirm to the customer (copying admins) that a booking is paid in full
+   */
+  async function sendBalancePaidConfirmation(booking) {
+    try {
+      if (!booking.customerEmail) {
+        console.error(`Cannot send balance confirmation: no email for booking ${booking.bookingReference}`);
+        return false;
+      }
+
+      const email = await emailRenderer.render('booking-balance-paid', { booking });
+
+      const sendSmtpEmail = {
+        to: [{ email: booking.customerEmail, name: booking.customerName || booking.customerEmail }],
+        cc: getAdminEmails(),
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('booking-balance-paid', sendSmtpEmail, {
+        bookingId: booking.id,
+        bookingReference: booking.bookingReference,
+        amountPaid: booking.amountPaid
+      });
+
+      console.log(`Balance confirmation queued for ${booking.customerEmail} for ${booking.bookingReference}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending balance confirmation email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send tip receipt email to the tipper
+   */
+  async function sendTipReceipt(tip) {
+    try {
+      if (!tip.senderEmail) {
+        console.warn(`Cannot send tip receipt: no email for tip ${tip.id}`);
+        return false;
+      }
+
+      const email = await emailRenderer.render('tip-receipt', { tip });
+
+      const sendSmtpEmail = {
+        to: [{ email: tip.senderEmail, name: tip.senderName || tip.senderEmail }],
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('tip-receipt', sendSmtpEmail, {
+        tipId: tip.id,
+        tipAmount: tip.amount,
+        tipperName: tip.senderName || 'Anonymous',
+        recipientName: tip.recipientName,
+        message: tip.message || ''
+      });
+
+      console.log(`Tip receipt queued for ${tip.senderEmail} for tip ${tip.id}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending tip receipt email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send email alert to admins when a customer opens a dispute
+   */
+  async function sendDisputeNotification(dispute, records) {
+    try {
+      const adminEmails = getAdminEmails();
+
+      if (adminEmails.length === 0) {
+        console.warn('No admin emails configured. Cannot send dispute notification.');
+        return false;
+      }
+
+      const email = await emailRenderer.render('dispute-admin', {
+        dispute: {
+          id: dispute.id,
+          amount: dispute.amount / 100,
+          currency: dispute.currency,
+          reason: dispute.reason,
+          evidenceDueBy: dispute.evidence_details && dispute.evidence_details.due_by
+            ? new Date(dispute.evidence_details.due_by * 1000)
+            : null
+        },
+        records: records.map(record => ({
+          type: record.collectionName === 'bookings' ? 'Booking' : 'Tip',
+          id: record.id,
+          name: record.data.recipientName || record.data.packageName || null
+        }))
+      });
+
+      const sendSmtpEmail = {
+        to: adminEmails,
+        sender: EMAIL_SENDER,
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text
+      };
+
+      const queued = await queueEmail('dispute-admin', sendSmtpEmail, {
+        disputeId: dispute.id,
+        disputeAmount: dispute.amount / 100
+      });
+
+      console.log(`Dispute notification queued for ${adminEmails.length} admins for ${dispute.id}`);
+      return queued;
+    } catch (error) {
+      console.error('Error sending dispute notification email:', error);
+      return false;
+    }
+  }
+
+  //===========================================================================
+  // EMAIL OUTBOX
+  //===========================================================================
+
+  /**
+   * Every transactional email is written to the `emailOutbox` collection
+   * before it is sent, so an email provider outage delays a notification
+   * instead of losing it. An entry's `status` is one of:
+   * - queued: waiting for its first attempt or a retry at `nextAttemptAt`
+   * - sent: accepted by the email transport
+   * - failed: gave up after `maxAttempts` (the dead letters staff can resend)
+   * An attempt in progress holds `lockedUntil`, so the immediate send and
+   * the retry worker never deliver the same entry twice.
+   */
+  const OUTBOX_LOCK_MS = 2 * 60 * 1000;
+
+  let outboxRunning = false;
+
+  /**
+   * Queue an email and try to send it straight away. `log` holds the extra
+   * fields recorded in `emailNotifications` once the email is sent or given up on.
+   * Returns true once the email is safely queued - retries are the outbox's job.
+   */
+  async function queueEmail(template, sendSmtpEmail, log = {}) {
+    const message = {
+      to: sendSmtpEmail.to,
+      cc: sendSmtpEmail.cc || [],
+      sender: sendSmtpEmail.sender,
+      subject: sendSmtpEmail.subject,
+      htmlContent: sendSmtpEmail.htmlContent,
+      textContent: sendSmtpEmail.textContent || null
+    };
+
+    let id;
+    try {
+      id = await repositories.emailLogs.queue({
+        template,
+        message,
+        log,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: config.email.outbox.maxAttempts,
+        nextAttemptAt: Timestamp.now(),
+        lockedUntil: null,
+        lastError: null
+      });
+    } catch (error) {
+      // Without the outbox there is nothing to retry from, so make the one attempt we can
+      console.error(`Could not queue ${template} email, sending it without retries:`, error.message);
+      try {
+        await emailTransport.send(message);
+        return true;
+      } catch (deliveryError) {
+        console.error(`Error sending ${template} email:`, deliveryError.message);
+        return false;
+      }
+    }
+
+    await deliverOutboxEmail(id);
+    return true;
+  }
+
+  // Delay before the retry that follows attempt number `attempts`, doubling each time
+  function getEmailRetryDelayMs(attempts) {
+    const { retryBaseSeconds, retryMaxSeconds } = config.email.outbox;
+    return Math.min(retryBaseSeconds * Math.pow(2, attempts - 1), retryMaxSeconds) * 1000;
+  }
+
+  /**
+   * Make one delivery attempt for an outbox entry. On failure the entry is
+   * rescheduled with exponential backoff, or marked failed once it has used
+   * its attempts.
+   */
+  async function deliverOutboxEmail(id) {
+    try {
+      // Null if it isn't queued or another attempt holds it
+      const entry = await repositories.emailLogs.claim(id, OUTBOX_LOCK_MS);
+      if (!entry) {
+        return { success: false, claimed: false };
+      }
+
+      const attempts = (entry.attempts || 0) + 1;
+
+      try {
+        const response = await emailTransport.send(entry.message);
+
+        await repositories.emailLogs.update(id, {
+          status: 'sent',
+          attempts,
+          transport: emailTransport.name,
+          messageId: response.messageId,
+          nextAttemptAt: null,
+          lockedUntil: null,
+          lastError: null,
+          sentAt: FieldValue.serverTimestamp()
+        });
+        await logEmailNotification(id, entry, 'sent');
+
+        console.log(`Email ${id} (${entry.template}) sent on attempt ${attempts}`);
+        return { success: true, claimed: true, status: 'sent' };
+      } catch (error) {
+        const errorMessage = error.message || 'Unknown error';
+        // Permanent failures (a rejected address, bad credentials) go straight to the dead letters
+        const giveUp = attempts >= entry.maxAttempts || error.permanent === true;
+        const retryDelayMs = getEmailRetryDelayMs(attempts);
+
+        await repositories.emailLogs.update(id, {
+          status: giveUp ? 'failed' : 'queued',
+          attempts,
+          nextAttemptAt: giveUp ? null : Timestamp.fromMillis(Date.now() + retryDelayMs),
+          lockedUntil: null,
+          lastError: errorMessage,
+          lastAttemptAt: FieldValue.serverTimestamp()
+        });
+
+        if (giveUp) {
+          console.error(`Email ${id} (${entry.template}) failed after ${attempts} attempt(s), moved to dead letters: ${errorMessage}`);
+          await logEmailNotification(id, entry, 'failed', errorMessage);
+        } else {
+          console.warn(`Email ${id} (${entry.template}) attempt ${attempts} failed, retrying in ${Math.round(retryDelayMs / 1000)}s: ${errorMessage}`);
+        }
+        return { success: false, claimed: true, status: giveUp ? 'failed' : 'queued', error: errorMessage };
+      }
+    } catch (error) {
+      console.error(`Error delivering outbox email ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record the final outcome of an outbox entry in `emailNotifications`
+  async function logEmailNotification(outboxId, entry, status, errorMessage = null) {
+    try {
+      await repositories.emailLogs.record({
+        to: entry.message.to.map(recipient => recipient.email).join(', '),
+        subject: entry.message.subject,
+        template: entry.template,
+        outboxId,
+        ...entry.log,
+        status,
+        error: errorMessage
+      });
+    } catch (error) {
+      console.error(`Error logging email ${outboxId}:`, error);
+    }
+  }
+
+  // Retry every queued email that is due
+  async function processEmailOutbox() {
+    if (outboxRunning) return;
+    outboxRunning = true;
+
+    try {
+      const due = await repositories.emailLogs.listDue(config.email.outbox.batchSize);
+      for (const entry of due) {
+        await deliverOutboxEmail(entry.id);
+      }
+    } finally {
+      outboxRunning = false;
+    }
+  }
+
+  function setupEmailOutbox() {
+    const intervalMs = config.email.outbox.pollIntervalSeconds * 1000;
+    setInterval(() => {
+      processEmailOutbox().catch(error => console.error('Error processing email outbox:', error));
+    }, intervalMs);
+    console.log(`Email transport: ${emailTransport.description}`);
+    console.log(`Email outbox retrying queued emails every ${config.email.outbox.pollIntervalSeconds}s`);
+  }
+
+  // Outbox entry for the admin API - the message body is left out
+  function serializeOutboxEmail(entry) {
+    const toIso = value => {
+      const date = toDate(value);
+      return date ? date.toISOString() : null;
+    };
+
+    return {
+      id: entry.id,
+      template: entry.template,
+      to: entry.message.to.map(recipient => recipient.email),
+      cc: (entry.message.cc || []).map(recipient => recipient.email),
+      subject: entry.message.subject,
+      status: entry.status,
+      attempts: entry.attempts || 0,
+      maxAttempts: entry.maxAttempts,
+      lastError: entry.lastError || null,
+      nextAttemptAt: toIso(entry.nextAttemptAt),
+      createdAt: toIso(entry.createdAt),
+      sentAt: toIso(entry.sentAt)
+    };
+  }
+
+  //===========================================================================
+  // EMAIL TEMPLATES
+  //===========================================================================
+
+  // Templates live in emails/ - see emailTemplates.js. Firestore documents in
+  // `emailTemplates` override them without a deploy.
+  const emailRenderer = createEmailRenderer({
+    helpers: {
+      currency: (amount, currency) => formatCurrency(amount, typeof currency === 'string' ? currency : 'gbp'),
+      date: value => formatDisplayDate(value),
+      today: () => new Date().toLocaleDateString('en-GB'),
+      travelDates: booking => formatBookingDates(booking)
+    },
+    globals: {
+      logoUrl: config.email.logoUrl,
+      siteUrl: config.siteUrl,
+      urls: config.urls
+    },
+    loadOverride: async name => {
+      const result = await safeFirestoreGet('emailTemplates', name);
+      return result.success ? result.data : null;
+    }
+  });
+
+  // Travel dates line shared by the booking templates
+  function formatBookingDates(booking) {
+    if (booking.startDate && booking.endDate) {
+      return `${formatDisplayDate(booking.startDate)} - ${formatDisplayDate(booking.endDate)}`;
+    }
+    if (booking.startDate) {
+      return formatDisplayDate(booking.startDate);
+    }
+    return 'To be confirmed';
+  }
+
+  //===========================================================================
+  // HELPER FUNCTIONS
+  //===========================================================================
+
+  // Format an amount in major units for display, e.g. 12.5 gbp -> £12.50
+  function formatCurrency(amount, currency = 'gbp') {
+    try {
+      return new Intl.NumberFormat('en-GB', {
+        style: 'currency',
+        currency: currency.toUpperCase()
+      }).format(amount);
+    } catch (error) {
+      return `${Number(amount).toFixed(2)} ${currency.toUpperCase()}`;
+    }
+  }
+
+  /**
+   * Verify the Firebase ID token sent as `Authorization: Bearer <token>`.
+   * Returns null when there is no token and throws if the token is invalid.
+   */
+  async function getAuthenticatedUser(req, { checkRevoked = false } = {}) {
+    const authHeader = req.get('authorization') || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    const decodedToken = await auth.verifyIdToken(authHeader.slice(7), checkRevoked);
+    return {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      // Shown to guides on tips, so never fall back to the email address
+      name: decodedToken.name || 'Customer',
+      roles: getUserRoles(decodedToken.uid, decodedToken),
+      token: decodedToken
+    };
+  }
+
+  /**
+   * Middleware that sets `req.user` from the Firebase ID token. With
+   * `optional` signed-out requests get `req.user = null`, but a token that
+   * fails verification is always rejected.
+   */
+  function authenticate({ optional = false } = {}) {
+    return async (req, res, next) => {
+      let user;
+      try {
+        user = await getAuthenticatedUser(req);
+      } catch (error) {
+        console.warn('Firebase ID token verification failed:', error.message);
+        return sendError(res, 'AUTH_INVALID', 'Invalid or expired authentication token');
+      }
+
+      if (!user && !optional) {
+        return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+
+  /**
+   * Guard a guide's own data: staff with an admin role, or the guide signed in
+   * with a Firebase ID token whose UID is the guide ID or the guide's `userId`.
+   */
+  async function requireGuideAccess(req, res, next) {
+    let user;
+    try {
+      user = await getAuthenticatedUser(req);
+    } catch (error) {
+      console.warn('Guide token verification failed:', error.message);
+      return sendError(res, 'AUTH_INVALID', 'Invalid or expired authentication token');
+    }
+
+    if (!user) {
+      return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+    }
+
+    const { guideId } = req.params;
+    if (user.uid !== guideId && !hasAdminRole(user, ['admin', 'finance', 'support'])) {
+      const guide = await repositories.guides.get(guideId).catch(error => {
+        console.error(`Error loading guide ${guideId}:`, error);
+        return null;
+      });
+      if (!guide || guide.userId !== user.uid) {
+        return sendError(res, 'FORBIDDEN', 'You do not have access to this guide');
+      }
+    }
+
+    req.user = user;
+    next();
+  }
+
+  /**
+   * Parse `from` / `to` (YYYY-MM-DD) query params. `end` is the exclusive
+   * upper bound (the day after `to`). With `defaultDays` an open range
+   * becomes the last N days.
+   */
+  function parseDateRange(query, { defaultDays } = {}) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    let from = query.from ? toDate(query.from) : null;
+    let to = query.to ? toDate(query.to) : null;
+
+    if ((query.from && !from) || (query.to && !to)) {
+      return { valid: false, error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+
+    if (defaultDays) {
+      to = to || new Date(`${formatDateOnly(new Date())}T00:00:00Z`);
+      from = from || new Date(to.getTime() - (defaultDays - 1) * dayMs);
+    }
+
+    if (from && to && to < from) {
+      return { valid: false, error: 'to cannot be before from' };
+    }
+
+    return { valid: true, from, to, end: to ? new Date(to.getTime() + dayMs) : null };
+  }
+
+  // Send rows as a CSV download
+  function sendCsv(res, filename, columns, rows) {
+    const escapeCell = (value) => {
+      if (value === null || value === undefined) return '';
+      let cell = String(value);
+      // Stop spreadsheet apps treating text cells as formulas
+      if (typeof value === 'string' && /^[=+\-@]/.test(cell)) {
+        cell = `'${cell}`;
+      }
+      return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+
+    const lines = [columns.join(',')]
+      .concat(rows.map(row => columns.map(column => escapeCell(row[column])).join(',')));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(lines.join('\n'));
+  }
+
+  /**
+   * Check a caller-supplied redirect URL: http(s) only, no embedded
+   * credentials, one of the allowed (CORS) origins and a path under one of
+   * `allowedPaths`.
+   */
+  function isAllowedRedirectUrl(value, allowedPaths) {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (error) {
+      return false;
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+    if (url.username || url.password) return false;
+    if (!config.allowedOrigins.includes(url.origin)) return false;
+
+    return allowedPaths.some(path => url.pathname.startsWith(path));
+  }
+
+  // Round a major-unit amount to 2 decimal places (pence/cents)
+  function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Normalise a date input to YYYY-MM-DD, or null if it isn't a valid date
+  function formatDateOnly(value) {
+    const date = toDate(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+  }
+
+  // Format a YYYY-MM-DD date for emails, e.g. 14 March 2027
+  function formatDisplayDate(value) {
+    const date = toDate(value);
+    return date 
+      ? date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }) 
+      : String(value);
+  }
+
+  // Look up a Firebase Auth user, returning null if they don't exist
+  async function getFirebaseUser(userId) {
+    try {
+      return await auth.getUser(userId);
+    } catch (error) {
+      console.warn(`Could not load Firebase user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Convert a Firestore Timestamp, Date, ISO string or millis to a Date
+  function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Helper function to safely get the fetch module
+  async function getFetchModule() {
+    // If we already have fetch, return it
+    if (fetch) return fetch;
+
+    try {
+      // Try to use the global fetch in Node.js 18+
+      if (global.fetch) {
+        fetch = global.fetch;
+        return fetch;
+      }
+
+      // Try to load node-fetch dynamically
+      const nodeFetch = await import('node-fetch');
+      fetch = nodeFetch.default;
+      return fetch;
+    } catch (error) {
+      console.error('Error loading fetch module:', error.message);
+      console.error('Please run: npm install node-fetch');
+      return null;
+    }
+  }
+
+  // Use a more resilient HTTP request function
+  async function makeHttpRequest(url) {
+    try {
+      // Get the fetch module safely
+      const fetchModule = await getFetchModule();
+      if (!fetchModule) {
+        console.error('HTTP client not available - cannot make request to:', url);
+        return null;
+      }
+
+      const response = await fetchModule(url);
+      return response;
+    } catch (error) {
+      console.error(`Error making HTTP request to ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  function setupKeepAlive() {
+    // Add keep-alive ping to prevent sleep on Render free tier
+    if (config.keepAlive.enabled) {
+      console.log('Setting up keep-alive system...');
+
+      // 1. Self-ping to keep this server alive
+      const serviceUrl = config.keepAlive.serviceUrl;
+      setInterval(async () => {
+        try {
+          const response = await makeHttpRequest(`${serviceUrl}/health`);
+          if (response) {
+            console.log('🏓 Self keep-alive ping sent successfully');
+          }
+        } catch (error) {
+          console.error('Error in self keep-alive ping:', error.message);
+        }
+      }, 10 * 60 * 1000); // Every 10 minutes
+
+      // 2. Ping activity upgrades server to keep it alive
+      const activityServerUrl = config.activityServerUrl;
+      if (activityServerUrl) {
+        setInterval(async () => {
+          try {
+            const response = await makeHttpRequest(`${activityServerUrl}/health`);
+            if (response) {
+              console.log('🏓 Activity upgrades server keep-alive ping sent successfully');
+            }
+          } catch (error) {
+            console.error('Error in activity server ping:', error.message);
+          }
+        }, 13 * 60 * 1000); // Every 13 minutes (offset from self-ping)
+      } else {
+        console.warn('⚠️ Activity upgrades server URL not configured. Add ACTIVITY_SERVER_URL to your environment variables for mutual pinging.');
+      }
+    }
+  }
+
+  // Every route should be in the OpenAPI document - flag any that were missed
+  if (config.validateResponses) {
+    const undocumented = findUndocumentedRoutes(app, openApiDocument);
+    if (undocumented.length > 0) {
+      console.warn(`⚠️ Routes missing from the OpenAPI document (openapi.js): ${undocumented.join(', ')}`);
+    }
+  }
+
+  // For the start script: nothing runs in the background until it asks, so
+  // tests can drive the outbox themselves
+  app.locals.startBackgroundJobs = () => {
+    setupKeepAlive();
+    setupEmailOutbox();
+    setupBalanceReminders();
+  };
+  app.locals.processEmailOutbox = processEmailOutbox;
+  app.locals.processBalanceReminders = processBalanceReminders;
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,350 @@
+// Central configuration - per-environment profiles loaded from environment variables
+//
+// The profile is picked by APP_ENV (falling back to NODE_ENV, then
+// development) and supplies defaults; any value can still be overridden by
+// its environment variable.
+// Everything is validated up front so a missing secret is reported clearly
+// at startup instead of crashing the first request that needs it.
+const os = require('os');
+const path = require('path');
+const { EMAIL_TRANSPORTS } = require('./emailTransports');
+const { STORAGE_BACKENDS } = require('./storage');
+
+const PROFILES = {
+  development: {
+    siteUrl: 'http://localhost:5500',
+    allowedOrigins: ['http://127.0.0.1:5500', 'http://localhost:5500', 'http://localhost:3000'],
+    keepAlive: false,
+    exposeErrors: true,
+    // Check responses against the OpenAPI document to catch contract drift
+    validateResponses: true,
+    // Write emails to disk rather than sending them to real inboxes
+    emailTransport: 'file',
+    memoryStorage: true,
+    // Webhooks and email are optional when running locally
+    required: []
+  },
+  // Automated tests - `npm test` runs jest, which sets NODE_ENV=test
+  test: {
+    siteUrl: 'http://localhost:5500',
+    allowedOrigins: ['http://127.0.0.1:5500', 'http://localhost:5500', 'http://localhost:3000'],
+    keepAlive: false,
+    exposeErrors: true,
+    validateResponses: true,
+    emailTransport: 'console',
+    memoryStorage: true,
+    required: []
+  },
+  staging: {
+    siteUrl: null, // Must be set with SITE_URL
+    allowedOrigins: null, // Defaults to the site URL
+    keepAlive: true,
+    exposeErrors: true,
+    validateResponses: false,
+    emailTransport: 'brevo',
+    memoryStorage: false,
+    required: ['SITE_URL', 'STRIPE_WEBHOOK_SECRET']
+  },
+  production: {
+    siteUrl: 'https://kenyaonabudgetsafaris.co.uk',
+    allowedOrigins: ['https://kenyaonabudgetsafaris.co.uk'],
+    keepAlive: true,
+    exposeErrors: false,
+    validateResponses: false,
+    emailTransport: 'brevo',
+    memoryStorage: false,
+    required: ['STRIPE_WEBHOOK_SECRET']
+  }
+};
+
+// Needed in every profile
+const ALWAYS_REQUIRED = {
+  STRIPE_SECRET_KEY: 'Stripe secret API key (sk_test_... or sk_live_...)'
+};
+
+// Needed unless STORAGE_BACKEND=memory
+const FIREBASE_REQUIRED = {
+  FIREBASE_PROJECT_ID: 'Firebase project ID',
+  FIREBASE_CLIENT_EMAIL: 'Firebase Admin service account client email',
+  FIREBASE_PRIVATE_KEY: 'Firebase Admin service account private key (with \\n for newlines)'
+};
+
+const DESCRIPTIONS = {
+  ...ALWAYS_REQUIRED,
+  ...FIREBASE_REQUIRED,
+  SITE_URL: 'public website URL used for redirects and email links',
+  STRIPE_WEBHOOK_SECRET: 'Stripe webhook signing secret (whsec_...)',
+  BREVO_API_KEY: 'Brevo (Sendinblue) API key for transactional email',
+  SMTP_HOST: 'SMTP server host name for the smtp email transport'
+};
+
+// Settings each email transport can't run without
+const EMAIL_TRANSPORT_REQUIRED = {
+  brevo: ['BREVO_API_KEY'],
+  smtp: ['SMTP_HOST']
+};
+
+class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(`Invalid configuration for the "${profile}" environment:\n` +
+      problems.map(problem => `  - ${problem}`).join('\n'));
+    this.name = 'ConfigError';
+    this.profile = profile;
+    this.problems = problems;
+  }
+}
+
+// Split a comma-separated variable into trimmed, non-empty values
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+// Strip trailing slashes so paths can be appended safely
+function trimUrl(url) {
+  return url ? url.replace(/\/+$/, '') : url;
+}
+
+/**
+ * Build and validate the configuration from `env`.
+ * Throws a ConfigError listing every problem found.
+ */
+function loadConfig(env = process.env) {
+  // Other tools set NODE_ENV too, so only an unknown APP_ENV is an error
+  const profileName = env.APP_ENV || (PROFILES[env.NODE_ENV] ? env.NODE_ENV : 'development');
+  const profile = PROFILES[profileName];
+
+  if (!profile) {
+    throw new ConfigError(profileName, [
+      `Unknown environment "${profileName}" - set APP_ENV to one of: ${Object.keys(PROFILES).join(', ')}`
+    ]);
+  }
+
+  const problems = [];
+
+  const emailTransport = env.EMAIL_TRANSPORT || profile.emailTransport;
+  if (!EMAIL_TRANSPORTS.includes(emailTransport)) {
+    problems.push(`EMAIL_TRANSPORT must be one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+  } else if (profileName === 'production' && !EMAIL_TRANSPORT_REQUIRED[emailTransport]) {
+    problems.push(`EMAIL_TRANSPORT "${emailTransport}" does not deliver email - use brevo or smtp in production`);
+  }
+  const emailRequired = EMAIL_TRANSPORT_REQUIRED[emailTransport] || [];
+
+  // In-memory storage lets the server run without a Firebase project
+  const storageBackend = env.STORAGE_BACKEND || 'firestore';
+  if (!STORAGE_BACKENDS.includes(storageBackend)) {
+    problems.push(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  } else if (storageBackend === 'memory' && !profile.memoryStorage) {
+    problems.push('STORAGE_BACKEND=memory keeps nothing across restarts - it is only allowed in development and test');
+  }
+  const storageRequired = storageBackend === 'memory' ? [] : Object.keys(FIREBASE_REQUIRED);
+
+  for (const name of [...Object.keys(ALWAYS_REQUIRED), ...storageRequired, ...profile.required, ...emailRequired]) {
+    if (!env[name] || !env[name].trim()) {
+      problems.push(`${name} is not set (${DESCRIPTIONS[name]})`);
+    }
+  }
+
+  const siteUrl = trimUrl(env.SITE_URL || profile.siteUrl);
+  let siteOrigin = null;
+
+  for (const [name, value] of [['SITE_URL', siteUrl], ['ACTIVITY_SERVER_URL', env.ACTIVITY_SERVER_URL]]) {
+    if (value) {
+      try {
+        const url = new URL(value);
+        if (name === 'SITE_URL') siteOrigin = url.origin;
+      } catch (error) {
+        problems.push(`${name} is not a valid URL: ${value}`);
+      }
+    }
+  }
+
+  const allowedOrigins = env.ALLOWED_ORIGINS
+    ? parseList(env.ALLOWED_ORIGINS)
+    : (profile.allowedOrigins || (siteOrigin ? [siteOrigin] : []));
+
+  for (const origin of allowedOrigins) {
+    try {
+      if (new URL(origin).origin !== origin) {
+        problems.push(`ALLOWED_ORIGINS entry should be a bare origin like https://example.com: ${origin}`);
+      }
+    } catch (error) {
+      problems.push(`ALLOWED_ORIGINS entry is not a valid URL: ${origin}`);
+    }
+  }
+
+  if (env.STRIPE_SECRET_KEY && !/^(sk|rk)_(test|live)_/.test(env.STRIPE_SECRET_KEY)) {
+    problems.push('STRIPE_SECRET_KEY does not look like a Stripe secret key (sk_test_... / sk_live_...)');
+  }
+  if (profileName === 'production' && env.STRIPE_SECRET_KEY && /_test_/.test(env.STRIPE_SECRET_KEY)) {
+    problems.push('STRIPE_SECRET_KEY is a test key but the environment is production');
+  }
+
+  if (env.FIREBASE_PRIVATE_KEY && !env.FIREBASE_PRIVATE_KEY.includes('PRIVATE KEY')) {
+    problems.push('FIREBASE_PRIVATE_KEY does not look like a PEM private key');
+  }
+
+  const platformFeePercent = parseFloat(env.GUIDE_TIP_PLATFORM_FEE_PERCENT || '0');
+  const platformFeeFixed = parseFloat(env.GUIDE_TIP_PLATFORM_FEE_FIXED || '0');
+  if (!Number.isFinite(platformFeePercent) || platformFeePercent < 0 || platformFeePercent > 100) {
+    problems.push('GUIDE_TIP_PLATFORM_FEE_PERCENT must be a number between 0 and 100');
+  }
+  if (!Number.isFinite(platformFeeFixed) || platformFeeFixed < 0) {
+    problems.push('GUIDE_TIP_PLATFORM_FEE_FIXED must be a positive number');
+  }
+
+  const tipCurrencies = env.TIP_CURRENCIES ? parseList(env.TIP_CURRENCIES).map(c => c.toLowerCase()) : ['gbp', 'usd', 'eur'];
+  if (tipCurrencies.length === 0 || tipCurrencies.some(currency => !/^[a-z]{3}$/.test(currency))) {
+    problems.push('TIP_CURRENCIES must be a comma-separated list of ISO currency codes like gbp,usd');
+  }
+
+  const tipMinAmount = parseFloat(env.TIP_MIN_AMOUNT || '1');
+  const tipMaxAmount = parseFloat(env.TIP_MAX_AMOUNT || '1000');
+  if (!Number.isFinite(tipMinAmount) || tipMinAmount <= 0) {
+    problems.push('TIP_MIN_AMOUNT must be a positive number');
+  }
+  if (!Number.isFinite(tipMaxAmount) || tipMaxAmount < tipMinAmount) {
+    problems.push('TIP_MAX_AMOUNT must be a number no smaller than TIP_MIN_AMOUNT');
+  }
+
+  const depositPercent = parseFloat(env.DEPOSIT_PERCENT || '25');
+  const balanceDueDays = parseInt(env.BALANCE_DUE_DAYS || '60', 10);
+  const balanceReminderDays = parseList(env.BALANCE_REMINDER_DAYS || '14,3').map(Number);
+  if (!Number.isFinite(depositPercent) || depositPercent < 0 || depositPercent >= 100) {
+    problems.push('DEPOSIT_PERCENT must be a number from 0 (no deposits) to below 100');
+  }
+  if (!Number.isInteger(balanceDueDays) || balanceDueDays < 0) {
+    problems.push('BALANCE_DUE_DAYS must be a whole number of days');
+  }
+  if (balanceReminderDays.some(days => !Number.isInteger(days) || days < 0)) {
+    problems.push('BALANCE_REMINDER_DAYS must be a comma-separated list of whole numbers of days, like 14,3');
+  }
+
+  const emailMaxAttempts = parseInt(env.EMAIL_MAX_ATTEMPTS || '6', 10);
+  const emailRetryBaseSeconds = parseInt(env.EMAIL_RETRY_BASE_SECONDS || '60', 10);
+  if (!Number.isInteger(emailMaxAttempts) || emailMaxAttempts < 1) {
+    problems.push('EMAIL_MAX_ATTEMPTS must be a whole number of at least 1');
+  }
+  if (!Number.isInteger(emailRetryBaseSeconds) || emailRetryBaseSeconds < 1) {
+    problems.push('EMAIL_RETRY_BASE_SECONDS must be a whole number of seconds');
+  }
+
+  const smtpSecure = env.SMTP_SECURE === 'true';
+  const smtpPort = parseInt(env.SMTP_PORT || (smtpSecure ? '465' : '587'), 10);
+  if (!Number.isInteger(smtpPort) || smtpPort <= 0 || smtpPort > 65535) {
+    problems.push(`SMTP_PORT must be a valid port number: ${env.SMTP_PORT}`);
+  }
+
+  const port = parseInt(env.PORT || '3000', 10);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    problems.push(`PORT must be a valid port number: ${env.PORT}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(profileName, problems);
+  }
+
+  // Multiple admin emails (comma-separated) take priority over the single one
+  const adminEmails = env.ADMIN_EMAILS
+    ? parseList(env.ADMIN_EMAILS)
+    : parseList(env.ADMIN_EMAIL);
+
+  return {
+    env: profileName,
+    isProduction: profileName === 'production',
+    exposeErrors: profile.exposeErrors,
+    validateResponses: env.VALIDATE_RESPONSES ? env.VALIDATE_RESPONSES === 'true' : profile.validateResponses,
+    port,
+    siteUrl,
+    allowedOrigins,
+    tipRedirectPaths: env.TIP_REDIRECT_PATHS ? parseList(env.TIP_REDIRECT_PATHS) : ['/login/'],
+    tips: {
+      currencies: tipCurrencies,
+      minAmount: tipMinAmount,
+      maxAmount: tipMaxAmount,
+      maxMessageLength: 500
+    },
+    // Deposit bookings pay `percent` of the total at checkout and the balance
+    // `balanceDueDays` before travel, with reminders `reminderDays` before that
+    deposits: {
+      enabled: depositPercent > 0,
+      percent: depositPercent,
+      balanceDueDays,
+      reminderDays: [...new Set(balanceReminderDays)].sort((a, b) => b - a),
+      checkIntervalSeconds: 60 * 60
+    },
+    urls: {
+      packageSuccess: `${siteUrl}/packages/payment-success.html`,
+      packageCancel: `${siteUrl}/packages/payment-cancelled.html`,
+      packages: `${siteUrl}/packages`,
+      tipSuccess: `${siteUrl}/login/tip-success.html`,
+      tipCancel: `${siteUrl}/login/tip-cancel.html`,
+      guidePortal: `${siteUrl}/guide.html`,
+      adminPortal: `${siteUrl}/admin-portal`,
+      guideConnectRefresh: env.GUIDE_CONNECT_REFRESH_URL || `${siteUrl}/guide.html?connect=refresh`,
+      guideConnectReturn: env.GUIDE_CONNECT_RETURN_URL || `${siteUrl}/guide.html?connect=complete`
+    },
+    stripe: {
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET || null,
+      connectWebhookSecret: env.STRIPE_CONNECT_WEBHOOK_SECRET || null
+    },
+    storage: {
+      backend: storageBackend,
+      // JSON file of { collection: { id: document } } loaded into in-memory storage
+      seedFile: env.STORAGE_SEED_FILE || null
+    },
+    firebase: {
+      projectId: env.FIREBASE_PROJECT_ID || null,
+      clientEmail: env.FIREBASE_CLIENT_EMAIL || null,
+      privateKey: env.FIREBASE_PRIVATE_KEY ? env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+      databaseURL: env.FIREBASE_DATABASE_URL || `https://${env.FIREBASE_PROJECT_ID}.firebaseio.com`
+    },
+    email: {
+      transport: emailTransport,
+      brevoApiKey: env.BREVO_API_KEY || null,
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: smtpPort,
+        secure: smtpSecure,
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || null
+      },
+      fileDir: env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'kenya-safaris-emails'),
+      senderEmail: env.EMAIL_SENDER_ADDRESS || 'noreply@kenyaonabudgetsafaris.co.uk',
+      senderName: env.EMAIL_SENDER_NAME || 'Kenya on a Budget Safaris',
+      // Emails are viewed outside our site, so the logo always comes from the live site by default
+      logoUrl: env.EMAIL_LOGO_URL || 'https://kenyaonabudgetsafaris.co.uk/logo1.png',
+      adminEmails,
+      // Failed sends are retried after base, 2 x base, 4 x base... seconds
+      outbox: {
+        maxAttempts: emailMaxAttempts,
+        retryBaseSeconds: emailRetryBaseSeconds,
+        retryMaxSeconds: 6 * 60 * 60,
+        pollIntervalSeconds: 60,
+        batchSize: 20
+      }
+    },
+    connect: {
+      country: (env.GUIDE_CONNECT_COUNTRY || 'KE').toUpperCase(),
+      // Where the platform's own Stripe account is - guides elsewhere get recipient accounts
+      platformCountry: (env.STRIPE_PLATFORM_COUNTRY || 'GB').toUpperCase(),
+      platformFeePercent,
+      platformFeeFixed
+    },
+    superAdminUids: parseList(env.SUPER_ADMIN_UIDS),
+    activityServerUrl: trimUrl(env.ACTIVITY_SERVER_URL) || null,
+    keepAlive: {
+      enabled: profile.keepAlive,
+      serviceUrl: trimUrl(env.RENDER_EXTERNAL_URL) || `http://localhost:${port}`
+    }
+  };
+}
+
+module.exports = {
+  PROFILES,
+  ConfigError,
+  loadConfig
+};
@@ -0,0 +1,194 @@
+// Email templates - Handlebars templates with layouts, partials and a plain-text part
+//
+// Templates live in emails/templates/<name>.hbs with a small front-matter
+// block for the subject; shared pieces (the layout, styles) live in
+// emails/partials. Variables are HTML-escaped unless written with {{{ }}}.
+// A template can be overridden without a deploy by an active document in
+// the `emailTemplates` Firestore collection: { subject, html, text?, active }.
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const EMAILS_DIR = path.join(__dirname, 'emails');
+
+// Split "---\nkey: value\n---\nbody" into { attributes, body }
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) {
+    return { attributes: {}, body: source };
+  }
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      const value = line.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+      attributes[line.slice(0, separator).trim()] = value;
+    }
+  }
+
+  return { attributes, body: source.slice(match[0].length) };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Plain-text version of a rendered HTML email: table rows become
+ * "Label: value" lines, links keep their URL and headers/styles are dropped.
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<tr>\s*<th[\s\S]*?<\/tr>/gi, '')
+    .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      return labelText && labelText !== href ? `${labelText} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|tr|blockquote|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+/**
+ * Create a renderer for the templates in emails/.
+ *
+ * @param {object} options
+ * @param {object} options.helpers - Extra Handlebars helpers (currency, date, ...)
+ * @param {object} options.globals - Values every template can use (logoUrl, siteUrl, urls)
+ * @param {Function} [options.loadOverride] - async (name) => override document or null
+ * @param {number} [options.overrideCacheMs] - How long a loaded override is reused
+ */
+function createEmailRenderer({ helpers = {}, globals = {}, loadOverride = null, overrideCacheMs = 60 * 1000 }) {
+  const handlebars = Handlebars.create();
+
+  handlebars.registerHelper({
+    eq: (a, b) => a === b,
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    upper: value => String(value || '').toUpperCase(),
+    ...helpers
+  });
+
+  const partialsDir = path.join(EMAILS_DIR, 'partials');
+  for (const file of fs.readdirSync(partialsDir).filter(name => name.endsWith('.hbs'))) {
+    handlebars.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+  }
+
+  const compile = ({ subject, html, text }) => ({
+    // Subjects are plain text, so they are not HTML-escaped
+    subject: handlebars.compile(subject, { noEscape: true }),
+    html: handlebars.compile(html),
+    text: text ? handlebars.compile(text, { noEscape: true }) : null
+  });
+
+  const templatesDir = path.join(EMAILS_DIR, 'templates');
+  const templates = new Map();
+  for (const file of fs.readdirSync(templatesDir).filter(name => name.endsWith('.hbs'))) {
+    const { attributes, body } = parseFrontMatter(fs.readFileSync(path.join(templatesDir, file), 'utf8'));
+    const name = path.basename(file, '.hbs');
+    templates.set(name, {
+      name,
+      description: attributes.description || '',
+      subject: attributes.subject || name,
+      compiled: compile({ subject: attributes.subject || name, html: body })
+    });
+  }
+
+  const samples = JSON.parse(fs.readFileSync(path.join(EMAILS_DIR, 'samples.json'), 'utf8'));
+  const overrides = new Map();
+
+  // Active Firestore override for a template, compiled and cached briefly
+  async function getOverride(name) {
+    if (!loadOverride) return null;
+
+    const cached = overrides.get(name);
+    if (cached && Date.now() - cached.loadedAt < overrideCacheMs) {
+      return cached.compiled;
+    }
+
+    let compiled = null;
+    try {
+      const override = await loadOverride(name);
+      if (override && override.active !== false && override.subject && override.html) {
+        compiled = compile(override);
+      }
+    } catch (error) {
+      // A broken override must never stop the email - fall back to the file
+      console.error(`Ignoring email template override for ${name}:`, error.message);
+    }
+
+    overrides.set(name, { compiled, loadedAt: Date.now() });
+    return compiled;
+  }
+
+  const renderCompiled = (name, source, compiled, context) => {
+    const html = compiled.html(context);
+    return {
+      template: name,
+      source,
+      subject: compiled.subject(context).trim(),
+      html,
+      text: compiled.text ? compiled.text(context) : htmlToText(html)
+    };
+  };
+
+  /**
+   * Render a template to { subject, html, text }. `source: 'file'` skips
+   * any Firestore override.
+   */
+  async function render(name, data = {}, { source = 'active' } = {}) {
+    const template = templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const context = { ...globals, ...data };
+
+    if (source !== 'file') {
+      const override = await getOverride(name);
+      if (override) {
+        // Handlebars compiles lazily, so a broken override only shows up here
+        try {
+          return renderCompiled(name, 'override', override, context);
+        } catch (error) {
+          console.error(`Email template override for ${name} failed to render, using the file version:`, error.message);
+        }
+      }
+    }
+
+    return renderCompiled(name, 'file', template.compiled, context);
+  }
+
+  return {
+    render,
+    hasTemplate: name => templates.has(name),
+    getSampleData: name => samples[name] || {},
+    listTemplates: () => Array.from(templates.values()).map(({ name, description, subject }) => ({
+      name,
+      description,
+      subject
+    }))
+  };
+}
+
+module.exports = {
+  createEmailRenderer,
+  htmlToText
+};
@@ -0,0 +1,167 @@
+// Email transports - how an email actually leaves the server
+//
+// One is picked by EMAIL_TRANSPORT (see config.js):
+// - brevo: Brevo's transactional email API
+// - smtp: any SMTP server, through nodemailer
+// - file: writes every email to EMAIL_FILE_DIR as an .eml file plus a JSON
+//   copy, so notification flows can be exercised offline
+// - console: logs each email instead of sending it
+//
+// Every transport has `send(message)`, where `message` uses the same fields
+// the outbox stores: { to, cc, sender, subject, htmlContent, textContent }
+// with addresses as { email, name }. It resolves to { messageId } and
+// rejects with an EmailTransportError; `permanent` marks failures a retry
+// won't fix, such as a rejected address.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMAIL_TRANSPORTS = ['brevo', 'smtp', 'file', 'console'];
+
+class EmailTransportError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = 'EmailTransportError';
+    this.permanent = permanent;
+  }
+}
+
+// nodemailer's address format
+function toAddress(recipient) {
+  return { name: recipient.name || '', address: recipient.email };
+}
+
+function toMailOptions(message) {
+  return {
+    from: toAddress(message.sender),
+    to: message.to.map(toAddress),
+    cc: message.cc && message.cc.length > 0 ? message.cc.map(toAddress) : undefined,
+    subject: message.subject,
+    html: message.htmlContent,
+    text: message.textContent || undefined
+  };
+}
+
+function createBrevoTransport({ brevoApiKey }) {
+  const SibApiV3Sdk = require('sib-api-v3-sdk');
+  const defaultClient = SibApiV3Sdk.ApiClient.instance;
+  defaultClient.authentications['api-key'].apiKey = brevoApiKey;
+  const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+
+  return {
+    name: 'brevo',
+    description: 'Brevo transactional email API',
+    async send(message) {
+      // Brevo rejects empty optional fields, so leave them out
+      const sendSmtpEmail = {
+        to: message.to,
+        sender: message.sender,
+        subject: message.subject,
+        htmlContent: message.htmlContent
+      };
+      if (message.cc && message.cc.length > 0) sendSmtpEmail.cc = message.cc;
+      if (message.textContent) sendSmtpEmail.textContent = message.textContent;
+
+      try {
+        const response = await apiInstance.sendTransacEmail(sendSmtpEmail);
+        return { messageId: (response && response.messageId) || null };
+      } catch (error) {
+        const body = error.response && error.response.body;
+        // 4xx means Brevo refused the request itself (bad address, bad key) - except rate limiting
+        throw new EmailTransportError((body && body.message) || error.message, {
+          permanent: error.status >= 400 && error.status < 500 && error.status !== 429
+        });
+      }
+    }
+  };
+}
+
+function createSmtpTransport({ smtp }) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    description: `SMTP server ${smtp.host}:${smtp.port}`,
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(toMailOptions(message));
+        return { messageId: info.messageId || null };
+      } catch (error) {
+        // 5xx SMTP replies are permanent; connection problems and 4xx are worth retrying
+        throw new EmailTransportError(error.message, {
+          permanent: error.responseCode >= 500 && error.responseCode < 600
+        });
+      }
+    }
+  };
+}
+
+function createFileTransport({ fileDir }) {
+  const MailComposer = require('nodemailer/lib/mail-composer');
+
+  return {
+    name: 'file',
+    description: `.eml and JSON files in ${fileDir}`,
+    async send(message) {
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+      const messageId = `<${id}@local>`;
+
+      try {
+        const eml = await new MailComposer({ ...toMailOptions(message), messageId }).compile().build();
+
+        await fs.promises.mkdir(fileDir, { recursive: true });
+        await fs.promises.writeFile(path.join(fileDir, `${id}.eml`), eml);
+        await fs.promises.writeFile(path.join(fileDir, `${id}.json`), JSON.stringify({ messageId, ...message }, null, 2));
+      } catch (error) {
+        throw new EmailTransportError(`Could not write email to ${fileDir}: ${error.message}`);
+      }
+
+      console.log(`📧 Email "${message.subject}" written to ${path.join(fileDir, `${id}.eml`)}`);
+      return { messageId };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    description: 'console log',
+    async send(message) {
+      const recipients = [...message.to, ...(message.cc || [])].map(recipient => recipient.email);
+      console.log(`📧 Email to ${recipients.join(', ')}: ${message.subject}\n${message.textContent || message.htmlContent}`);
+      return { messageId: `<${crypto.randomUUID()}@console>` };
+    }
+  };
+}
+
+/**
+ * Create the transport named by `emailConfig.transport`.
+ *
+ * @param {object} emailConfig - config.email (see config.js)
+ */
+function createEmailTransport(emailConfig) {
+  switch (emailConfig.transport) {
+    case 'brevo':
+      return createBrevoTransport(emailConfig);
+    case 'smtp':
+      return createSmtpTransport(emailConfig);
+    case 'file':
+      return createFileTransport(emailConfig);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport: ${emailConfig.transport}`);
+  }
+}
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  EmailTransportError,
+  createEmailTransport
+};
@@ -0,0 +1,211 @@
+// API errors - one response shape and a stable code for every failure
+//
+// Every error response is `{ error, code }` plus optional details (for
+// example `fields` for validation errors). `error` is a human-readable
+// message; clients should branch on `code`, which never changes.
+
+const ERROR_CODES = {
+  // Requests
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  INVALID_DATE_RANGE: 400,
+  INVALID_CURSOR: 400,
+  REDIRECT_URL_NOT_ALLOWED: 400,
+  NOT_FOUND: 404,
+
+  // Authentication and permissions
+  AUTH_REQUIRED: 401,
+  AUTH_INVALID: 401,
+  FORBIDDEN: 403,
+
+  // Packages, coupons and bookings
+  PACKAGE_NOT_FOUND: 404,
+  PACKAGE_INACTIVE: 400,
+  PACKAGE_PRICE_INVALID: 500,
+  ADD_ON_NOT_FOUND: 404,
+  ADD_ON_UNAVAILABLE: 400,
+  ADD_ON_PRICE_INVALID: 500,
+  CATALOGUE_UNAVAILABLE: 503,
+  INVALID_DATES: 400,
+  FREE_BOOKING: 400,
+  NOT_FREE_BOOKING: 400,
+  BOOKING_NOT_FOUND: 404,
+  DEPOSIT_NOT_AVAILABLE: 400,
+  NO_BALANCE_DUE: 400,
+  COUPON_NOT_FOUND: 400,
+  COUPON_INACTIVE: 400,
+  COUPON_NOT_STARTED: 400,
+  COUPON_EXPIRED: 400,
+  COUPON_USAGE_LIMIT: 400,
+  COUPON_USER_LIMIT: 400,
+  COUPON_NOT_APPLICABLE: 400,
+  COUPON_MIN_SPEND: 400,
+  COUPON_INVALID: 400,
+  COUPON_UNAVAILABLE: 503,
+
+  // Payments
+  PAYMENT_INCOMPLETE: 402,
+  PAYMENT_FAILED: 402,
+  SESSION_NOT_FOUND: 404,
+  SESSION_TYPE_MISMATCH: 400,
+  NOT_REFUNDABLE: 400,
+  INVALID_REFUND_AMOUNT: 400,
+  WEBHOOK_SIGNATURE_INVALID: 400,
+  STRIPE_REQUEST_FAILED: 400,
+  STRIPE_RESOURCE_NOT_FOUND: 404,
+  STRIPE_UNAVAILABLE: 503,
+
+  // Tips, guides and staff
+  TIP_NOT_FOUND: 404,
+  GUIDE_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  ROLE_CHANGE_NOT_ALLOWED: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  EMAIL_NOT_FOUND: 404,
+  EMAIL_SEND_IN_PROGRESS: 409,
+
+  // Dependencies and everything else
+  ACTIVITY_SERVER_NOT_CONFIGURED: 503,
+  ACTIVITY_SERVER_UNAVAILABLE: 502,
+  DATABASE_UNAVAILABLE: 503,
+  DATABASE_ERROR: 500,
+  INTERNAL_ERROR: 500
+};
+
+// Messages shown instead of internal details when errors are not exposed
+const SAFE_MESSAGES = {
+  STRIPE_REQUEST_FAILED: 'The payment provider could not process this request',
+  STRIPE_UNAVAILABLE: 'The payment provider is temporarily unavailable, please try again',
+  DATABASE_UNAVAILABLE: 'The service is temporarily unavailable, please try again',
+  DATABASE_ERROR: 'Unable to load or save data',
+  INTERNAL_ERROR: 'An unexpected error occurred'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES; also picks the HTTP status
+   * @param {string} message - Message for the client
+   * @param {object} [details] - Extra fields merged into the response
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+// Client errors whose message comes from Stripe rather than from us
+const PROVIDER_MESSAGE_CODES = ['STRIPE_REQUEST_FAILED'];
+
+// Firestore (gRPC) status codes we can say something useful about
+const FIRESTORE_CODES = {
+  4: 'DATABASE_UNAVAILABLE',  // DEADLINE_EXCEEDED
+  5: 'NOT_FOUND',             // NOT_FOUND
+  8: 'DATABASE_UNAVAILABLE',  // RESOURCE_EXHAUSTED
+  14: 'DATABASE_UNAVAILABLE'  // UNAVAILABLE
+};
+
+/**
+ * Convert any thrown error into an ApiError: Stripe errors by their type,
+ * Firestore errors by their gRPC code, Firebase Auth lookups of unknown
+ * users as USER_NOT_FOUND, body-parser errors as bad JSON and everything
+ * else as an internal error.
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (typeof error.type === 'string' && error.type.startsWith('Stripe')) {
+    switch (error.type) {
+      case 'StripeCardError':
+        return new ApiError('PAYMENT_FAILED', error.message, { declineCode: error.decline_code || null });
+      case 'StripeInvalidRequestError':
+        if (error.code === 'resource_missing') {
+          return isCheckoutSessionError(error)
+            ? new ApiError('SESSION_NOT_FOUND', 'Payment session not found')
+            : new ApiError('STRIPE_RESOURCE_NOT_FOUND', 'Payment record not found');
+        }
+        return new ApiError('STRIPE_REQUEST_FAILED', error.message);
+      case 'StripeConnectionError':
+      case 'StripeAPIError':
+      case 'StripeRateLimitError':
+        return new ApiError('STRIPE_UNAVAILABLE', error.message);
+      default:
+        // Authentication / permission problems are our misconfiguration, not the client's
+        return new ApiError('INTERNAL_ERROR', error.message);
+    }
+  }
+
+  if (error.code === 'auth/user-not-found') {
+    return new ApiError('USER_NOT_FOUND', 'User not found');
+  }
+
+  if (typeof error.code === 'number' && typeof error.details === 'string') {
+    return new ApiError(FIRESTORE_CODES[error.code] || 'DATABASE_ERROR', error.message);
+  }
+
+  return new ApiError('INTERNAL_ERROR', error.message);
+}
+
+// Stripe reports missing checkout sessions as "No such checkout.session: ..."
+// with the `session` param; everything else missing is some other object
+function isCheckoutSessionError(error) {
+  return error.param === 'session' || /checkout\.session/.test(error.message || '');
+}
+
+// Response body for an ApiError, hiding server-side and Stripe messages unless allowed
+function errorBody(apiError, { exposeErrors }) {
+  const hideMessage = !exposeErrors && 
+    (apiError.status >= 500 || PROVIDER_MESSAGE_CODES.includes(apiError.code));
+  return {
+    error: hideMessage ? (SAFE_MESSAGES[apiError.code] || SAFE_MESSAGES.INTERNAL_ERROR) : apiError.message,
+    code: apiError.code,
+    ...apiError.details
+  };
+}
+
+/**
+ * Send a client error (4xx) response directly, for handlers that return
+ * early. Server-side failures should be passed to `next()` instead so the
+ * error handler can log them and hide their details.
+ */
+function sendError(res, code, message, details) {
+  const apiError = new ApiError(code, message, details);
+  return res.status(apiError.status).json(errorBody(apiError, { exposeErrors: true }));
+}
+
+/**
+ * Express error handler - must be registered after every route. Logs
+ * server-side failures and answers with the standard error shape.
+ */
+function errorHandler({ exposeErrors }) {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    } else if (!(error instanceof ApiError)) {
+      console.warn(`${req.method} ${req.originalUrl} failed (${apiError.code}):`, error.message);
+    }
+
+    res.status(apiError.status).json(errorBody(apiError, { exposeErrors }));
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  toApiError,
+  sendError,
+  errorHandler
+};
@@ -0,0 +1,645 @@
+// OpenAPI 3.1 description of the API
+//
+// Request bodies, query strings and params come straight from schemas.js,
+// so the document always matches what the validation middleware enforces.
+// Responses are described here; in development every JSON response is
+// checked against them and mismatches are logged.
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ERROR_CODES } = require('./errors');
+const { version } = require('./package.json');
+
+const STRING = { type: 'string' };
+const NUMBER = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const BOOLEAN = { type: 'boolean' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+// Allow null as well as the schema's own type
+function nullable(schema) {
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+// Shorthand for a response object schema - extra fields are allowed
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const PAYMENT_PLAN = { type: 'string', enum: ['full', 'deposit'] };
+const BALANCE_STATUS = { type: 'string', enum: ['not_required', 'pending', 'overdue', 'paid', 'refund_due', 'cancelled'] };
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Every error response. Branch on `code`; `error` is for people.',
+    properties: {
+      error: STRING,
+      code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+      fields: {
+        type: 'array',
+        description: 'Field errors for VALIDATION_ERROR',
+        items: object({ location: STRING, field: STRING, message: STRING })
+      }
+    },
+    required: ['error', 'code']
+  },
+
+  OrderItem: {
+    ...object({
+      type: { type: 'string', enum: ['package', 'add_on'] },
+      id: STRING,
+      name: STRING,
+      pricing: { type: 'string', enum: ['per_person', 'per_booking'] },
+      unitAmount: NUMBER,
+      quantity: INTEGER,
+      amount: NUMBER
+    }),
+    description: 'One priced line of a package order - the package or an add-on'
+  },
+
+  BookingResult: object({
+    paid: BOOLEAN,
+    amount: NUMBER,
+    originalAmount: NUMBER,
+    discountAmount: NUMBER,
+    finalAmount: NUMBER,
+    couponCode: nullable(STRING),
+    travellers: INTEGER,
+    items: nullable({ type: 'array', items: ref('OrderItem') }),
+    paymentPlan: PAYMENT_PLAN,
+    balanceAmount: NUMBER,
+    balanceDueDate: nullable(STRING),
+    balanceStatus: nullable(BALANCE_STATUS),
+    bookingId: nullable(STRING),
+    bookingReference: nullable(STRING)
+  }, ['paid']),
+
+  EarningsTotals: object({
+    count: INTEGER,
+    gross: NUMBER,
+    platformFees: NUMBER,
+    refunded: NUMBER,
+    net: NUMBER
+  }),
+
+  GuideTip: object({
+    id: STRING,
+    amount: NUMBER,
+    currency: STRING,
+    platformFee: NUMBER,
+    refundedAmount: NUMBER,
+    netAmount: NUMBER,
+    balance: { type: 'string', enum: ['paid_out', 'pending', 'manual', 'on_hold'] },
+    senderName: STRING,
+    message: STRING,
+    status: STRING,
+    payoutStatus: STRING,
+    createdAt: nullable(DATE_TIME)
+  }),
+
+  AdminRoles: object({
+    success: BOOLEAN,
+    uid: STRING,
+    email: nullable(STRING),
+    roles: { type: 'array', items: STRING }
+  }),
+
+  RevenueRow: object({
+    group: STRING,
+    label: STRING,
+    type: { type: 'string', enum: ['booking', 'tip'] },
+    currency: STRING,
+    count: INTEGER,
+    gross: NUMBER,
+    discounts: NUMBER,
+    collected: NUMBER,
+    refunded: NUMBER,
+    platformFees: NUMBER,
+    net: NUMBER
+  }),
+
+  EmailPreview: object({
+    success: BOOLEAN,
+    template: STRING,
+    source: { type: 'string', enum: ['file', 'override'] },
+    subject: STRING,
+    html: STRING,
+    text: STRING
+  }),
+
+  OutboxEmail: object({
+    id: STRING,
+    template: STRING,
+    to: { type: 'array', items: STRING },
+    cc: { type: 'array', items: STRING },
+    subject: STRING,
+    status: { type: 'string', enum: ['queued', 'sent', 'failed'] },
+    attempts: INTEGER,
+    maxAttempts: INTEGER,
+    lastError: nullable(STRING),
+    nextAttemptAt: nullable(DATE_TIME),
+    createdAt: nullable(DATE_TIME),
+    sentAt: nullable(DATE_TIME)
+  }),
+
+  ReconciliationRow: object({
+    stripeSessionId: STRING,
+    type: STRING,
+    date: DATE_TIME,
+    currency: STRING,
+    amount: NUMBER,
+    packageId: STRING,
+    packageName: STRING,
+    guideId: STRING,
+    couponCode: STRING,
+    userId: STRING
+  })
+};
+
+// Ways a route can be authenticated - see authenticate() and friends in server.js
+const SECURITY = {
+  none: [],
+  user: [{ firebaseIdToken: [] }],
+  optional: [{}, { firebaseIdToken: [] }],
+  guide: [{ firebaseIdToken: [] }],
+  admin: [{ firebaseIdToken: [] }],
+  stripe: [{ stripeSignature: [] }]
+};
+
+/**
+ * Every route in the API. `schema` names the request schemas in schemas.js;
+ * `response` is the JSON body of a successful response; `csv` marks routes
+ * that can also answer with a CSV download, `preview` ones that can answer
+ * with HTML or plain text, and `html` pages for browsers.
+ */
+const ROUTES = [
+  {
+    method: 'get', path: '/health', tag: 'Shared', auth: 'none',
+    summary: 'Health check',
+    response: object({
+      status: STRING,
+      message: STRING,
+      timestamp: DATE_TIME,
+      environment: STRING,
+      keepAlive: { type: 'string', enum: ['active', 'disabled'] }
+    })
+  },
+  {
+    method: 'get', path: '/api/docs', tag: 'Shared', auth: 'none',
+    summary: 'This documentation, rendered with Swagger UI',
+    html: true
+  },
+  {
+    method: 'get', path: '/api/docs/openapi.json', tag: 'Shared', auth: 'none',
+    summary: 'This OpenAPI document',
+    response: object({ openapi: STRING, info: { type: 'object' }, paths: { type: 'object' } })
+  },
+  {
+    method: 'post', path: '/create-checkout-session', tag: 'Packages', auth: 'user',
+    schema: 'createCheckoutSession',
+    summary: 'Start a Stripe Checkout session for a package, priced from the catalogue',
+    description: 'The package and each add-on become a Stripe line item, charged per traveller or once per booking. ' +
+      'With `paymentPlan: deposit` (fixed departures only) the deposit is charged (`amount`) and the balance is due before the departure date.',
+    response: object({
+      id: STRING,
+      timestamp: INTEGER,
+      amount: NUMBER,
+      totalAmount: NUMBER,
+      currency: STRING,
+      travellers: INTEGER,
+      items: { type: 'array', items: ref('OrderItem') },
+      paymentPlan: PAYMENT_PLAN,
+      balanceAmount: NUMBER,
+      balanceDueDate: nullable(STRING)
+    })
+  },
+  {
+    method: 'post', path: '/verify-payment', tag: 'Packages', auth: 'user',
+    schema: 'verifyPayment',
+    summary: 'Check a package checkout session and record the booking once paid',
+    response: {
+      allOf: [ref('BookingResult')],
+      properties: { status: STRING, customerId: nullable(STRING), metadata: { type: 'object' } }
+    }
+  },
+  {
+    method: 'post', path: '/validate-coupon', tag: 'Packages', auth: 'optional',
+    schema: 'validateCoupon',
+    summary: 'Preview the discount a coupon gives on a package',
+    response: object({
+      valid: BOOLEAN,
+      couponCode: STRING,
+      originalAmount: NUMBER,
+      discountAmount: NUMBER,
+      finalAmount: NUMBER,
+      currency: STRING,
+      travellers: INTEGER,
+      items: { type: 'array', items: ref('OrderItem') },
+      error: STRING,
+      code: STRING
+    }, ['valid'])
+  },
+  {
+    method: 'post', path: '/create-free-booking', tag: 'Packages', auth: 'user',
+    schema: 'createFreeBooking',
+    summary: 'Book a package that a coupon makes completely free',
+    response: ref('BookingResult')
+  },
+  {
+    method: 'post', path: '/api/bookings/:bookingId/balance-payment-link', tag: 'Packages', auth: 'user',
+    schema: 'bookingBalancePaymentLink',
+    summary: 'Get the Stripe payment link for the balance of a deposit booking',
+    description: 'For the customer who booked, or staff with the admin, finance or support role - staff requests are audited.',
+    response: object({
+      success: BOOLEAN,
+      bookingId: STRING,
+      bookingReference: STRING,
+      url: STRING,
+      balanceAmount: NUMBER,
+      currency: STRING,
+      balanceDueDate: STRING,
+      balanceStatus: BALANCE_STATUS
+    })
+  },
+  {
+    method: 'get', path: '/ping-activity', tag: 'Shared', auth: 'none',
+    summary: 'Check the activity upgrades server is up',
+    response: object({ success: BOOLEAN, activityServerStatus: { type: 'object' } })
+  },
+  {
+    method: 'post', path: '/api/tip/create-checkout-session', tag: 'Tips', auth: 'optional',
+    schema: 'createTipCheckoutSession',
+    summary: 'Start a Stripe Checkout session for a tip',
+    description: 'Signed-out callers must set `anonymous: true`.',
+    response: object({ sessionId: STRING })
+  },
+  {
+    method: 'get', path: '/api/tip/verify-checkout-session', tag: 'Tips', auth: 'optional',
+    schema: 'verifyTipCheckoutSession',
+    summary: 'Check a tip checkout session and record the tip once paid',
+    description: 'Answers PAYMENT_INCOMPLETE (402) until the payment has gone through.',
+    response: object({
+      success: BOOLEAN,
+      alreadyProcessed: BOOLEAN,
+      payment: object({
+        id: STRING,
+        amount: NUMBER,
+        currency: STRING,
+        recipientType: STRING,
+        recipientId: nullable(STRING),
+        recipientName: nullable(STRING),
+        status: STRING
+      }, ['id', 'amount', 'currency', 'status'])
+    })
+  },
+  {
+    method: 'post', path: '/api/tip/webhook', tag: 'Tips', auth: 'stripe',
+    summary: 'Stripe webhook for checkout, refund, dispute and Connect account events',
+    description: 'Answers with an error when a paid checkout could not be recorded, so Stripe delivers the event again.',
+    requestBody: { description: 'Stripe event, signed with the webhook secret', schema: { type: 'object' } },
+    response: object({ received: BOOLEAN })
+  },
+  {
+    method: 'get', path: '/api/guides/:guideId/tips', tag: 'Guides', auth: 'guide',
+    schema: 'guideTips',
+    summary: 'Tips received by a guide, newest first',
+    response: object({
+      success: BOOLEAN,
+      tips: { type: 'array', items: ref('GuideTip') },
+      hasMore: BOOLEAN,
+      nextCursor: nullable(STRING)
+    })
+  },
+  {
+    method: 'get', path: '/api/guides/:guideId/earnings', tag: 'Guides', auth: 'guide',
+    schema: 'guideEarnings',
+    summary: 'Earnings totals per currency and period, with paid-out and pending balances',
+    response: object({
+      success: BOOLEAN,
+      guideId: STRING,
+      period: STRING,
+      from: nullable(STRING),
+      to: nullable(STRING),
+      tipCount: INTEGER,
+      totals: { type: 'object', additionalProperties: ref('EarningsTotals') },
+      periods: {
+        type: 'array',
+        items: object({ period: STRING, totals: { type: 'object', additionalProperties: ref('EarningsTotals') } })
+      },
+      balances: {
+        type: 'object',
+        additionalProperties: object({ paidOut: NUMBER, pending: NUMBER, manual: NUMBER, onHold: NUMBER })
+      }
+    })
+  },
+  {
+    method: 'post', path: '/api/guides/:guideId/connect/onboarding-link', tag: 'Guides', auth: 'admin',
+    schema: 'guideConnectOnboardingLink',
+    summary: 'Create a Stripe Connect onboarding link for a guide (admin)',
+    response: object({ success: BOOLEAN, accountId: STRING, url: { type: 'string', format: 'uri' }, expiresAt: DATE_TIME })
+  },
+  {
+    method: 'get', path: '/api/admin/roles/:uid', tag: 'Admin', auth: 'admin',
+    schema: 'adminRoles',
+    summary: "Get a staff member's admin roles (super_admin)",
+    response: ref('AdminRoles')
+  },
+  {
+    method: 'post', path: '/api/admin/roles', tag: 'Admin', auth: 'admin',
+    schema: 'updateAdminRoles',
+    summary: 'Grant or revoke an admin role (super_admin)',
+    description: 'Identify the user by `uid` or `email`.',
+    response: ref('AdminRoles')
+  },
+  {
+    method: 'post', path: '/api/admin/refunds', tag: 'Admin', auth: 'admin',
+    schema: 'createRefund',
+    summary: 'Refund a booking or tip in full or in part (admin, finance)',
+    description: '`amount` defaults to everything left to refund. A deposit booking is refunded from its balance payment ' +
+      'first and then its deposit, so it can take two Stripe refunds - `refunds` lists each one and `refund` the total.',
+    response: object({
+      success: BOOLEAN,
+      refund: object({ id: STRING, amount: NUMBER, currency: STRING, status: STRING }),
+      refunds: {
+        type: 'array',
+        items: object({ id: STRING, paymentIntentId: STRING, amount: NUMBER, status: STRING })
+      },
+      record: object({ type: STRING, id: STRING, status: nullable(STRING), refundedAmount: nullable(NUMBER) })
+    })
+  },
+  {
+    method: 'get', path: '/api/admin/reports/revenue', tag: 'Admin', auth: 'admin',
+    schema: 'revenueReport', csv: true,
+    summary: 'Revenue from bookings and tips, grouped and filtered (admin, finance)',
+    response: object({
+      success: BOOLEAN,
+      from: STRING,
+      to: STRING,
+      groupBy: STRING,
+      entryCount: INTEGER,
+      rows: { type: 'array', items: ref('RevenueRow') }
+    })
+  },
+  {
+    method: 'get', path: '/api/admin/reports/reconciliation', tag: 'Admin', auth: 'admin',
+    schema: 'reconciliationReport', csv: true,
+    summary: 'Paid Stripe sessions with no booking or tip record (admin, finance)',
+    response: object({
+      success: BOOLEAN,
+      from: STRING,
+      to: STRING,
+      stripeSessionCount: INTEGER,
+      unrecordedCount: INTEGER,
+      rows: { type: 'array', items: ref('ReconciliationRow') }
+    })
+  },
+  {
+    method: 'get', path: '/api/admin/email-templates', tag: 'Admin', auth: 'admin',
+    summary: 'List the transactional email templates (admin, support)',
+    response: object({
+      success: BOOLEAN,
+      templates: { type: 'array', items: object({ name: STRING, description: STRING, subject: STRING }) }
+    })
+  },
+  {
+    method: 'get', path: '/api/admin/email-templates/:name/preview', tag: 'Admin', auth: 'admin',
+    schema: 'emailTemplatePreview', preview: true,
+    summary: 'Render an email template with its sample data (admin, support)',
+    response: ref('EmailPreview')
+  },
+  {
+    method: 'post', path: '/api/admin/email-templates/:name/preview', tag: 'Admin', auth: 'admin',
+    schema: 'renderEmailTemplatePreview', preview: true,
+    summary: 'Render an email template with custom data merged over the sample data (admin, support)',
+    response: ref('EmailPreview')
+  },
+  {
+    method: 'get', path: '/api/admin/email-outbox', tag: 'Admin', auth: 'admin',
+    schema: 'emailOutbox',
+    summary: 'Outbox emails by status, newest first - the dead letters by default (admin, support)',
+    response: object({
+      success: BOOLEAN,
+      status: STRING,
+      emails: { type: 'array', items: ref('OutboxEmail') },
+      hasMore: BOOLEAN,
+      nextCursor: nullable(STRING)
+    })
+  },
+  {
+    method: 'post', path: '/api/admin/email-outbox/:id/resend', tag: 'Admin', auth: 'admin',
+    schema: 'resendEmail',
+    summary: 'Send an outbox email again with a fresh set of attempts (admin, support)',
+    response: object({
+      success: BOOLEAN,
+      sent: BOOLEAN,
+      email: ref('OutboxEmail')
+    })
+  }
+];
+
+// Express paths use :param, OpenAPI uses {param}
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Turn a params or query object schema into OpenAPI parameters
+function toParameters(location, schema) {
+  if (!schema) return [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || schema.required.includes(name),
+    schema: property
+  }));
+}
+
+function buildOperation(route, routeSchemas) {
+  const operation = {
+    operationId: route.schema || `${route.method}${route.path.replace(/\W+(\w)/g, (match, letter) => letter.toUpperCase())}`,
+    tags: [route.tag],
+    summary: route.summary,
+    security: SECURITY[route.auth],
+    parameters: [
+      ...toParameters('params', routeSchemas.params),
+      ...toParameters('query', routeSchemas.query)
+    ],
+    responses: {
+      200: {
+        description: 'Success',
+        content: route.html
+          ? { 'text/html': { schema: STRING } }
+          : {
+            'application/json': { schema: route.response },
+            ...(route.csv ? { 'text/csv': { schema: STRING } } : {}),
+            ...(route.preview ? { 'text/html': { schema: STRING }, 'text/plain': { schema: STRING } } : {})
+          }
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (route.description) {
+    operation.description = route.description;
+  }
+
+  const body = route.requestBody || (routeSchemas.body && { schema: routeSchemas.body });
+  if (body) {
+    operation.requestBody = {
+      required: true,
+      description: body.description,
+      content: { 'application/json': { schema: body.schema } }
+    };
+  }
+
+  if (route.auth === 'stripe') {
+    operation.parameters.push({ name: 'stripe-signature', in: 'header', required: true, schema: STRING });
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document from the route table and the request schemas.
+ */
+function buildOpenApiDocument(config, schemas) {
+  const paths = {};
+
+  for (const route of ROUTES) {
+    const routeSchemas = route.schema ? schemas[route.schema] : {};
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, routeSchemas);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Kenya on a Budget Safaris API',
+      version,
+      description: 'Package bookings, tips, guide earnings and admin tools. ' +
+        `Errors always use the Error schema; tip currencies accepted: ${config.tips.currencies.join(', ')}.`
+    },
+    tags: ['Shared', 'Packages', 'Tips', 'Guides', 'Admin'].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: ref('Error') } }
+        }
+      },
+      securitySchemes: {
+        firebaseIdToken: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Firebase ID token. Admin routes also need a role custom claim.'
+        },
+        stripeSignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'stripe-signature',
+          description: 'Stripe webhook signature'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * HTML page rendering the document with Swagger UI.
+ */
+function getDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Kenya on a Budget Safaris API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`;
+}
+
+// JSON Pointer escaping for $ref paths
+const pointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Development middleware that checks every JSON response against the
+ * document and logs a warning when it doesn't match. Responses are still
+ * sent unchanged - this only reports contract drift.
+ */
+function createResponseValidator(document) {
+  const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+  ajv.addSchema(document, 'openapi.json');
+  const validators = new Map();
+
+  // Compile lazily - most routes are never hit in a dev session
+  const getValidator = (path, method, status) => {
+    const operation = document.paths[path] && document.paths[path][method];
+    if (!operation) return null;
+
+    const key = `${method} ${path} ${status}`;
+    if (!validators.has(key)) {
+      const schemaPath = operation.responses[status]
+        ? `#/paths/${pointer(path)}/${method}/responses/${status}/content/application~1json/schema`
+        : '#/components/schemas/Error';
+      validators.set(key, ajv.compile({ $ref: `openapi.json${schemaPath}` }));
+    }
+    return validators.get(key);
+  };
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      // Routes that fell through to the 404 handler have no req.route
+      const path = req.route ? toOpenApiPath(req.baseUrl + req.route.path) : null;
+      const method = req.method.toLowerCase();
+
+      if (path) {
+        const validator = getValidator(path, method, String(res.statusCode));
+        if (!validator) {
+          console.warn(`⚠️ ${req.method} ${path} is not described in the OpenAPI document`);
+        } else if (!validator(body)) {
+          console.warn(`⚠️ ${req.method} ${path} ${res.statusCode} response does not match the OpenAPI document:`,
+            ajv.errorsText(validator.errors, { dataVar: 'response' }));
+        }
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Routes registered on the Express app that the document doesn't describe.
+ */
+function findUndocumentedRoutes(app, document) {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })))
+    .filter(({ method, path }) => {
+      const documented = document.paths[toOpenApiPath(path)];
+      return !documented || !documented[method];
+    })
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  getDocsPage,
+  createResponseValidator,
+  findUndocumentedRoutes
+};
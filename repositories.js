@@ -0,0 +1,420 @@
+// Repositories - reads and writes for tips, guides, bookings and email logs
+//
+// Built on a storage backend from storage.js, so the same code runs against
+// Firestore or the in-memory store. Records come back as plain objects with
+// their document `id`; storage errors are thrown for the caller (usually the
+// central error handler) to deal with.
+
+// How long a notification claim is honoured before another caller may retry it
+const NOTIFICATION_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Firestore's ALREADY_EXISTS status code
+const ALREADY_EXISTS = 6;
+
+const toMillis = value => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+/**
+ * Create the repositories for a storage backend.
+ *
+ * @param {object} storage - { db, FieldValue, Timestamp } from storage.js
+ */
+function createRepositories({ db, FieldValue, Timestamp }) {
+  const withId = doc => ({ id: doc.id, ...doc.data() });
+  const getById = async (collectionName, id) => {
+    const doc = await db.collection(collectionName).doc(id).get();
+    return doc.exists ? withId(doc) : null;
+  };
+  const updateById = (collectionName, id, data) => db.collection(collectionName).doc(id).update({
+    ...data,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+  const list = async query => (await query.get()).docs.map(withId);
+
+  // `range` comes from parseDateRange: { from, end } with `end` exclusive
+  const inRange = (query, range) => {
+    if (range.from) query = query.where('createdAt', '>=', range.from);
+    if (range.end) query = query.where('createdAt', '<', range.end);
+    return query;
+  };
+
+  /**
+   * Atomically claim the right to send a record's notifications. `statusField`
+   * moves from 'pending' to 'sending'; a stale 'sending' claim (the sender
+   * crashed) can be taken over, while 'sent' or a missing status never is.
+   */
+  const claimNotification = (collectionName, id, statusField) => {
+    const docRef = db.collection(collectionName).doc(id);
+    const claimedAtField = `${statusField}ClaimedAt`;
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const data = doc.data() || {};
+
+      // Only pending notifications are sent - records created before tracking
+      // have no status, and 'not_requested' / 'sent' / 'failed' are final
+      if (data[statusField] !== 'pending' && data[statusField] !== 'sending') {
+        return false;
+      }
+
+      if (data[statusField] === 'sending') {
+        const claimedAt = toMillis(data[claimedAtField]);
+        if (claimedAt && Date.now() - claimedAt < NOTIFICATION_CLAIM_TIMEOUT_MS) {
+          return false;
+        }
+      }
+
+      transaction.update(docRef, {
+        [statusField]: 'sending',
+        [claimedAtField]: Timestamp.now()
+      });
+      return true;
+    });
+  };
+
+  const tips = {
+    get: id => getById('tips', id),
+    update: (id, data) => updateById('tips', id, data),
+    claimNotification: (id, statusField) => claimNotification('tips', id, statusField),
+
+    /**
+     * One page of a guide's tips, newest first. `cursor` is the last tip ID of
+     * the previous page; returns null if it isn't one of this guide's tips.
+     */
+    async listForGuide(guideId, { limit, cursor }) {
+      let query = db.collection('tips')
+        .where('recipientId', '==', guideId)
+        .where('recipientType', '==', 'guide')
+        .orderBy('createdAt', 'desc');
+
+      if (cursor) {
+        const cursorDoc = await db.collection('tips').doc(cursor).get();
+        if (!cursorDoc.exists || cursorDoc.data().recipientId !== guideId) {
+          return null;
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // Fetch one extra to know whether there is another page
+      const results = await list(query.limit(limit + 1));
+      const page = results.slice(0, limit);
+      const hasMore = results.length > limit;
+      return { tips: page, hasMore, nextCursor: hasMore ? page[page.length - 1].id : null };
+    },
+
+    listForGuideInRange: (guideId, range) => list(inRange(db.collection('tips')
+      .where('recipientId', '==', guideId)
+      .where('recipientType', '==', 'guide'), range)),
+
+    listInRange: range => list(inRange(db.collection('tips'), range)),
+
+    listByPaymentIntent: paymentIntentId => list(db.collection('tips')
+      .where('stripePaymentIntentId', '==', paymentIntentId)),
+
+    // Guide tips whose transfer is waiting on onboarding or failed last time
+    listAwaitingPayout: guideId => list(db.collection('tips')
+      .where('recipientId', '==', guideId)
+      .where('payoutStatus', 'in', ['pending_onboarding', 'failed'])),
+
+    /**
+     * Create the tip for a checkout session unless one exists. Keyed on the
+     * session ID in a transaction, so concurrent callers create it once.
+     * Returns { created, id, tip } with the stored tip when it already existed.
+     */
+    createForSession(sessionId, tip) {
+      const tipsCollection = db.collection('tips');
+      const tipRef = tipsCollection.doc(sessionId);
+      // Tips recorded before records were keyed on the session used random IDs
+      const legacyQuery = tipsCollection.where('stripeSessionId', '==', sessionId).limit(1);
+
+      return db.runTransaction(async (transaction) => {
+        const [tipDoc, legacySnapshot] = await Promise.all([
+          transaction.get(tipRef),
+          transaction.get(legacyQuery)
+        ]);
+
+        if (tipDoc.exists) {
+          return { created: false, id: tipRef.id, tip: tipDoc.data() };
+        }
+        if (!legacySnapshot.empty) {
+          const legacyDoc = legacySnapshot.docs[0];
+          return { created: false, id: legacyDoc.id, tip: legacyDoc.data() };
+        }
+
+        transaction.create(tipRef, {
+          ...tip,
+          createdAt: FieldValue.serverTimestamp()
+        });
+        return { created: true, id: tipRef.id, tip };
+      });
+    }
+  };
+
+  const guides = {
+    get: id => getById('guides', id),
+    update: (id, data) => updateById('guides', id, data),
+
+    async findByStripeAccount(accountId) {
+      const results = await list(db.collection('guides').where('stripeAccountId', '==', accountId).limit(1));
+      return results[0] || null;
+    },
+
+    /**
+     * Find a guide by display name: an exact match on fullName, name or
+     * displayName, then a case-insensitive match (which Firestore can't
+     * query, so a batch of guides is compared in memory).
+     */
+    async findByName(name) {
+      const nameFields = ['fullName', 'name', 'displayName'];
+
+      for (const field of nameFields) {
+        const results = await list(db.collection('guides').where(field, '==', name).limit(1));
+        if (results.length > 0) {
+          return { ...results[0], matchedField: field };
+        }
+      }
+
+      const lowerName = name.toLowerCase();
+      for (const guide of await list(db.collection('guides').limit(50))) {
+        const field = nameFields.find(nameField => typeof guide[nameField] === 'string' &&
+          guide[nameField].toLowerCase() === lowerName);
+        if (field) {
+          return { ...guide, matchedField: field, caseInsensitive: true };
+        }
+      }
+
+      return null;
+    }
+  };
+
+  const bookings = {
+    get: id => getById('bookings', id),
+    update: (id, data) => updateById('bookings', id, data),
+    claimNotification: (id, statusField) => claimNotification('bookings', id, statusField),
+    newId: () => db.collection('bookings').doc().id,
+
+    /**
+     * Create a booking with a known ID. Returns false if it already exists.
+     * Pass `transaction` to make the write part of a wider transaction.
+     */
+    async create(id, booking, transaction = null) {
+      const bookingRef = db.collection('bookings').doc(id);
+      const data = { ...booking, createdAt: FieldValue.serverTimestamp() };
+
+      if (transaction) {
+        transaction.create(bookingRef, data);
+        return true;
+      }
+
+      try {
+        await bookingRef.create(data);
+        return true;
+      } catch (error) {
+        // Another path recorded this booking first
+        if (error.code !== ALREADY_EXISTS) throw error;
+        return false;
+      }
+    },
+
+    listInRange: range => list(inRange(db.collection('bookings'), range)),
+
+    // Deposit bookings are paid by two payment intents, so match either
+    async listByPaymentIntent(paymentIntentId) {
+      const [deposits, balances] = await Promise.all([
+        list(db.collection('bookings').where('stripePaymentIntentId', '==', paymentIntentId)),
+        list(db.collection('bookings').where('balancePaymentIntentId', '==', paymentIntentId))
+      ]);
+      return [...deposits, ...balances.filter(booking => !deposits.some(deposit => deposit.id === booking.id))];
+    },
+
+    // Deposit bookings whose balance is still to pay
+    listWithBalanceDue: () => list(db.collection('bookings')
+      .where('balanceStatus', 'in', ['pending', 'overdue'])),
+
+    /**
+     * Claim the balance reminder sent `daysBefore` the due date. Reminders
+     * only move closer to the due date, so each one is sent once even when
+     * several checks overlap. Returns false if it (or a later one) was sent.
+     */
+    claimBalanceReminder(id, daysBefore) {
+      const docRef = db.collection('bookings').doc(id);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        const data = doc.data() || {};
+        const lastSent = data.balanceReminderDaysBefore;
+
+        if (!['pending', 'overdue'].includes(data.balanceStatus) ||
+            (typeof lastSent === 'number' && lastSent <= daysBefore)) {
+          return false;
+        }
+
+        transaction.update(docRef, {
+          balanceReminderDaysBefore: daysBefore,
+          balanceReminderSentAt: Timestamp.now()
+        });
+        return true;
+      });
+    },
+
+    /**
+     * Apply a paid balance checkout session to its booking, once.
+     * Returns { found, applied, duplicate, rejected, booking }; `duplicate`
+     * means the balance had already been paid by a different session, and
+     * `rejected` that the booking is no longer confirmed (refunded or
+     * disputed) - the payment is kept off the booking and flagged for refund.
+     */
+    recordBalancePayment(id, { sessionId, paymentIntentId, amount }) {
+      const docRef = db.collection('bookings').doc(id);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return { found: false };
+        }
+
+        const booking = { id, ...doc.data() };
+        if (booking.balanceStatus === 'paid') {
+          return { found: true, applied: false, duplicate: booking.balanceSessionId !== sessionId, booking };
+        }
+
+        if (booking.balanceStatus === 'refund_due') {
+          const sameSession = booking.rejectedBalancePayment && booking.rejectedBalancePayment.sessionId === sessionId;
+          return { found: true, applied: false, duplicate: !sameSession, rejected: sameSession, booking };
+        }
+
+        if (booking.status !== 'confirmed') {
+          const update = {
+            balanceStatus: 'refund_due',
+            rejectedBalancePayment: { sessionId, paymentIntentId, amount },
+            updatedAt: FieldValue.serverTimestamp()
+          };
+          transaction.update(docRef, update);
+          return { found: true, applied: false, duplicate: false, rejected: true, booking: { ...booking, ...update } };
+        }
+
+        const update = {
+          amountPaid: Math.round(((booking.amountPaid || 0) + amount) * 100) / 100,
+          balanceAmount: 0,
+          balanceStatus: 'paid',
+          balanceSessionId: sessionId,
+          balancePaymentIntentId: paymentIntentId,
+          balancePaidAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp()
+        };
+        transaction.update(docRef, update);
+        return { found: true, applied: true, duplicate: false, rejected: false, booking: { ...booking, ...update } };
+      });
+    }
+  };
+
+  // Sent and failed emails (`emailNotifications`) and the outbox (`emailOutbox`)
+  const emailLogs = {
+    record: entry => db.collection('emailNotifications').add({
+      ...entry,
+      createdAt: FieldValue.serverTimestamp()
+    }),
+
+    async queue(entry) {
+      const ref = await db.collection('emailOutbox').add({
+        ...entry,
+        createdAt: FieldValue.serverTimestamp()
+      });
+      return ref.id;
+    },
+
+    get: id => getById('emailOutbox', id),
+    update: (id, data) => updateById('emailOutbox', id, data),
+
+    /**
+     * Claim a queued outbox email for one delivery attempt, holding it for
+     * `lockMs`. Returns the email, or null if it isn't queued or is held.
+     */
+    claim(id, lockMs) {
+      const docRef = db.collection('emailOutbox').doc(id);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) return null;
+
+        const entry = doc.data();
+        const lockedUntil = toMillis(entry.lockedUntil);
+        if (entry.status !== 'queued' || (lockedUntil && lockedUntil > Date.now())) {
+          return null;
+        }
+
+        transaction.update(docRef, {
+          lockedUntil: Timestamp.fromMillis(Date.now() + lockMs)
+        });
+        return { id, ...entry };
+      });
+    },
+
+    /**
+     * Put an email back in the queue with `fields` (a fresh attempt count and
+     * so on) unless a delivery attempt holds it right now.
+     * Returns { found, inProgress, previous }.
+     */
+    requeue(id, fields) {
+      const docRef = db.collection('emailOutbox').doc(id);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return { found: false };
+        }
+
+        const entry = doc.data();
+        const lockedUntil = toMillis(entry.lockedUntil);
+        if (lockedUntil && lockedUntil > Date.now()) {
+          return { found: true, inProgress: true };
+        }
+
+        transaction.update(docRef, {
+          ...fields,
+          status: 'queued',
+          nextAttemptAt: Timestamp.now(),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+        return { found: true, inProgress: false, previous: { id, ...entry } };
+      });
+    },
+
+    // Queued emails whose next attempt is due. Sent and failed emails have
+    // no `nextAttemptAt`, so only queued ones ever match.
+    listDue: limit => list(db.collection('emailOutbox')
+      .where('nextAttemptAt', '<=', Timestamp.now())
+      .orderBy('nextAttemptAt')
+      .limit(limit)),
+
+    /**
+     * One page of outbox emails with a status, newest first. Returns null if
+     * `cursor` isn't an email with that status.
+     */
+    async listByStatus(status, { template, limit, cursor }) {
+      let query = db.collection('emailOutbox').where('status', '==', status);
+      if (template) {
+        query = query.where('template', '==', template);
+      }
+      query = query.orderBy('createdAt', 'desc');
+
+      if (cursor) {
+        const cursorDoc = await db.collection('emailOutbox').doc(cursor).get();
+        if (!cursorDoc.exists || cursorDoc.data().status !== status) {
+          return null;
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const results = await list(query.limit(limit + 1));
+      const page = results.slice(0, limit);
+      const hasMore = results.length > limit;
+      return { emails: page, hasMore, nextCursor: hasMore ? page[page.length - 1].id : null };
+    }
+  };
+
+  return { tips, guides, bookings, emailLogs };
+}
+
+module.exports = {
+  createRepositories
+};
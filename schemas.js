@@ -0,0 +1,213 @@
+// Request schemas - JSON Schema for the body, query and params of every route
+//
+// Bodies use `additionalProperties: false`, so unknown fields are stripped
+// before the handler sees them (see validation.js). Query strings are
+// coerced to the declared types.
+
+const DATE = { type: 'string', format: 'date', description: 'YYYY-MM-DD' };
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const COUPON_CODE = { type: 'string', minLength: 1, maxLength: 64 };
+const CHECKOUT_SESSION_ID = { type: 'string', pattern: '^cs_[A-Za-z0-9_]+$', maxLength: 255 };
+const REDIRECT_URL = { type: 'string', format: 'uri', maxLength: 2048 };
+
+// What a package order is made of, priced server-side (see priceOrder in app.js)
+const ORDER = {
+  travellers: { type: 'integer', minimum: 1, maximum: 20, default: 1 },
+  addOnIds: { type: 'array', items: ID, maxItems: 10, uniqueItems: true, default: [] }
+};
+
+// Accept currency codes in either case - handlers lower-case them
+function currencyEnum(currencies) {
+  return {
+    type: 'string',
+    enum: [...currencies, ...currencies.map(currency => currency.toUpperCase())]
+  };
+}
+
+// Shorthand for an object schema
+function object(properties, required = [], additionalProperties = false) {
+  return { type: 'object', properties, required, additionalProperties };
+}
+
+const DATE_RANGE_QUERY = {
+  from: DATE,
+  to: DATE
+};
+
+/**
+ * Build the schemas for each route, keyed by a route name used with
+ * `validate(schemas.<name>)`. Settings that vary by environment (such as
+ * the tip currencies) come from the config.
+ */
+function buildSchemas(config) {
+  return {
+    createCheckoutSession: {
+      body: object({
+        packageId: ID,
+        ...ORDER,
+        couponCode: COUPON_CODE,
+        // Ignored for fixed departures, which use the catalogue's dates
+        startDate: DATE,
+        endDate: DATE,
+        // 'deposit' takes config.deposits.percent now and the balance later
+        paymentPlan: { type: 'string', enum: ['full', 'deposit'], default: 'full' }
+      }, ['packageId'])
+    },
+
+    verifyPayment: {
+      body: object({
+        sessionId: CHECKOUT_SESSION_ID
+      }, ['sessionId'])
+    },
+
+    validateCoupon: {
+      body: object({
+        couponCode: COUPON_CODE,
+        packageId: ID,
+        ...ORDER
+      }, ['couponCode', 'packageId'])
+    },
+
+    createFreeBooking: {
+      body: object({
+        packageId: ID,
+        ...ORDER,
+        couponCode: COUPON_CODE,
+        // Ignored for fixed departures, which use the catalogue's dates
+        startDate: DATE,
+        endDate: DATE
+      }, ['packageId', 'couponCode'])
+    },
+
+    bookingBalancePaymentLink: {
+      params: object({ bookingId: ID }, ['bookingId'])
+    },
+
+    createTipCheckoutSession: {
+      body: {
+        ...object({
+          amount: { type: 'number', minimum: config.tips.minAmount, maximum: config.tips.maxAmount },
+          currency: { ...currencyEnum(config.tips.currencies), default: config.tips.currencies[0] },
+          recipientType: { type: 'string', enum: ['guide', 'company'] },
+          recipientId: ID,
+          recipientName: { type: 'string', maxLength: 100 },
+          anonymous: { type: 'boolean', default: false },
+          message: { type: 'string', maxLength: config.tips.maxMessageLength },
+          sendReceipt: { type: 'boolean', default: true },
+          successUrl: REDIRECT_URL,
+          cancelUrl: REDIRECT_URL
+        }, ['amount', 'recipientType']),
+        // Guide tips must say which guide they are for
+        if: { properties: { recipientType: { const: 'guide' } } },
+        then: { required: ['recipientId'] }
+      }
+    },
+
+    verifyTipCheckoutSession: {
+      query: object({
+        session_id: CHECKOUT_SESSION_ID
+      }, ['session_id'])
+    },
+
+    guideTips: {
+      params: object({ guideId: ID }, ['guideId']),
+      query: object({
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        cursor: ID
+      })
+    },
+
+    guideEarnings: {
+      params: object({ guideId: ID }, ['guideId']),
+      query: object({
+        period: { type: 'string', enum: ['day', 'week', 'month', 'year'], default: 'month' },
+        ...DATE_RANGE_QUERY
+      })
+    },
+
+    guideConnectOnboardingLink: {
+      params: object({ guideId: ID }, ['guideId'])
+    },
+
+    adminRoles: {
+      params: object({ uid: ID }, ['uid'])
+    },
+
+    updateAdminRoles: {
+      body: object({
+        uid: ID,
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        role: { type: 'string', enum: ['super_admin', 'admin', 'finance', 'support'] },
+        action: { type: 'string', enum: ['grant', 'revoke'] }
+      }, ['role', 'action'])
+    },
+
+    createRefund: {
+      body: object({
+        type: { type: 'string', enum: ['booking', 'tip'] },
+        id: ID,
+        amount: { type: 'number', exclusiveMinimum: 0 },
+        reason: { type: 'string', maxLength: 500 }
+      }, ['type', 'id'])
+    },
+
+    revenueReport: {
+      query: object({
+        ...DATE_RANGE_QUERY,
+        groupBy: {
+          type: 'string',
+          enum: ['type', 'currency', 'package', 'guide', 'coupon', 'day', 'week', 'month', 'year'],
+          default: 'type'
+        },
+        type: { type: 'string', enum: ['booking', 'tip'] },
+        packageId: ID,
+        guideId: ID,
+        couponCode: COUPON_CODE,
+        currency: { type: 'string', minLength: 3, maxLength: 3 },
+        format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+      })
+    },
+
+    reconciliationReport: {
+      query: object({
+        ...DATE_RANGE_QUERY,
+        format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+      })
+    },
+
+    emailTemplatePreview: {
+      params: object({ name: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 64 } }, ['name']),
+      query: object({
+        format: { type: 'string', enum: ['html', 'text', 'json'], default: 'html' },
+        source: { type: 'string', enum: ['active', 'file'], default: 'active' }
+      })
+    },
+
+    renderEmailTemplatePreview: {
+      params: object({ name: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 64 } }, ['name']),
+      query: object({
+        format: { type: 'string', enum: ['html', 'text', 'json'], default: 'json' },
+        source: { type: 'string', enum: ['active', 'file'], default: 'active' }
+      }),
+      // Merged over the template's sample data
+      body: object({ data: { type: 'object' } }, ['data'])
+    },
+
+    emailOutbox: {
+      query: object({
+        status: { type: 'string', enum: ['queued', 'sent', 'failed'], default: 'failed' },
+        template: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 64 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        cursor: ID
+      })
+    },
+
+    resendEmail: {
+      params: object({ id: ID }, ['id'])
+    }
+  };
+}
+
+module.exports = {
+  buildSchemas
+};
@@ -0,0 +1,479 @@
+// Storage backends - Firestore, or an in-memory stand-in for running without Firebase
+//
+// Both backends expose the same things: `db` (a Firestore-style database),
+// plus `FieldValue`, `Timestamp` and `FieldPath`. The memory backend
+// implements the part of the Firestore API this server uses - documents,
+// collections, where/orderBy/limit/startAfter queries, transactions and the
+// serverTimestamp/increment sentinels - and keeps everything in the process,
+// so data is gone when the server stops. It is for local development and
+// automated tests, never production.
+const fs = require('fs');
+const crypto = require('crypto');
+
+// gRPC status codes Firestore errors carry - errors.js maps them to API errors
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class MemoryTimestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return MemoryTimestamp.fromMillis(Date.now());
+  }
+
+  static fromMillis(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return new MemoryTimestamp(seconds, Math.round((milliseconds - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return MemoryTimestamp.fromMillis(date.getTime());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryTimestamp && other.toMillis() === this.toMillis();
+  }
+}
+
+class MemoryFieldValue {
+  constructor(type, operand) {
+    this.type = type;
+    this.operand = operand;
+  }
+}
+
+const MemoryFieldValues = {
+  serverTimestamp: () => new MemoryFieldValue('serverTimestamp'),
+  increment: amount => new MemoryFieldValue('increment', amount),
+  delete: () => new MemoryFieldValue('delete')
+};
+
+class MemoryFieldPath {
+  constructor(...segments) {
+    this.segments = segments;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Copy a value into storage the way Firestore would: dates become timestamps
+// and nothing is shared with the caller
+function cloneValue(value) {
+  if (value instanceof Date) return MemoryTimestamp.fromDate(value);
+  if (value instanceof MemoryTimestamp) return new MemoryTimestamp(value.seconds, value.nanoseconds);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (field !== undefined) copy[key] = cloneValue(field);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Resolve a sentinel (or plain value) against the field's current value
+function resolveValue(value, current) {
+  if (value instanceof MemoryFieldValue) {
+    if (value.type === 'serverTimestamp') return MemoryTimestamp.now();
+    if (value.type === 'increment') return (typeof current === 'number' ? current : 0) + value.operand;
+  }
+  if (isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (field instanceof MemoryFieldValue && field.type === 'delete') continue;
+      if (field !== undefined) resolved[key] = resolveValue(field, isPlainObject(current) ? current[key] : undefined);
+    }
+    return resolved;
+  }
+  return cloneValue(value);
+}
+
+function setPath(data, segments, value) {
+  let target = data;
+  for (const segment of segments.slice(0, -1)) {
+    if (!isPlainObject(target[segment])) target[segment] = {};
+    target = target[segment];
+  }
+  const last = segments[segments.length - 1];
+  if (value instanceof MemoryFieldValue && value.type === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolveValue(value, target[last]);
+  }
+}
+
+function getPath(data, field) {
+  const segments = field instanceof MemoryFieldPath ? field.segments : field.split('.');
+  return segments.reduce((value, segment) => (isPlainObject(value) ? value[segment] : undefined), data);
+}
+
+// update(data) or update(field, value, field, value, ...) as [segments, value] pairs
+function toFieldUpdates(args) {
+  if (args.length === 1 && isPlainObject(args[0])) {
+    return Object.entries(args[0]).map(([field, value]) => [field.split('.'), value]);
+  }
+  const updates = [];
+  for (let i = 0; i < args.length; i += 2) {
+    const field = args[i];
+    updates.push([field instanceof MemoryFieldPath ? field.segments : field.split('.'), args[i + 1]]);
+  }
+  return updates;
+}
+
+function deepMerge(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (value instanceof MemoryFieldValue && value.type === 'delete') {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = deepMerge(merged[key], value);
+    } else if (value !== undefined) {
+      merged[key] = resolveValue(value, merged[key]);
+    }
+  }
+  return merged;
+}
+
+// Firestore only compares values of the same type; timestamps compare by time
+function toComparable(value) {
+  if (value instanceof MemoryTimestamp) return { type: 'timestamp', value: value.toMillis() };
+  if (value instanceof Date) return { type: 'timestamp', value: value.getTime() };
+  if (value === null) return { type: 'null', value: null };
+  return { type: typeof value, value };
+}
+
+function compareValues(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left.type !== right.type) return left.type < right.type ? -1 : 1;
+  if (left.value === right.value) return 0;
+  return left.value < right.value ? -1 : 1;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = getPath(data, field);
+  if (actual === undefined) return false;
+
+  switch (op) {
+    case '==': return compareValues(actual, value) === 0;
+    case '!=': return compareValues(actual, value) !== 0;
+    case 'in': return value.some(option => compareValues(actual, option) === 0);
+    case 'not-in': return !value.some(option => compareValues(actual, option) === 0);
+    case 'array-contains': return Array.isArray(actual) && actual.some(item => compareValues(item, value) === 0);
+    default: {
+      if (toComparable(actual).type !== toComparable(value).type) return false;
+      const order = compareValues(actual, value);
+      if (op === '<') return order < 0;
+      if (op === '<=') return order <= 0;
+      if (op === '>') return order > 0;
+      if (op === '>=') return order >= 0;
+      throw new Error(`Unsupported query operator: ${op}`);
+    }
+  }
+}
+
+class MemoryDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? cloneValue(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? cloneValue(getPath(this._data, field)) : undefined;
+  }
+}
+
+class MemoryQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class MemoryQuery {
+  constructor(db, collectionName, options = {}) {
+    this._db = db;
+    this._collectionName = collectionName;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit || null;
+    this._startAfter = options.startAfter || null;
+  }
+
+  _with(options) {
+    return new MemoryQuery(this._db, this._collectionName, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...options
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ startAfter: snapshot });
+  }
+
+  _run() {
+    const documents = this._db._collection(this._collectionName);
+    let entries = Array.from(documents.entries())
+      .filter(([, data]) => this._filters.every(filter => matchesFilter(data, filter)))
+      // Ordering by a field leaves out documents without it, as Firestore does
+      .filter(([, data]) => this._orders.every(({ field }) => getPath(data, field) !== undefined));
+
+    entries.sort(([idA, dataA], [idB, dataB]) => {
+      for (const { field, direction } of this._orders) {
+        const order = compareValues(getPath(dataA, field), getPath(dataB, field));
+        if (order !== 0) return direction === 'desc' ? -order : order;
+      }
+      return idA < idB ? -1 : idA > idB ? 1 : 0;
+    });
+
+    if (this._startAfter) {
+      const index = entries.findIndex(([id]) => id === this._startAfter.id);
+      entries = index === -1 ? entries : entries.slice(index + 1);
+    }
+    if (this._limit !== null) {
+      entries = entries.slice(0, this._limit);
+    }
+
+    const collection = this._db.collection(this._collectionName);
+    return new MemoryQuerySnapshot(entries.map(([id, data]) => new MemoryDocumentSnapshot(collection.doc(id), data)));
+  }
+
+  async get() {
+    return this._run();
+  }
+}
+
+class MemoryDocumentReference {
+  constructor(db, collectionName, id) {
+    this._db = db;
+    this._collectionName = collectionName;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+  }
+
+  _read() {
+    return new MemoryDocumentSnapshot(this, this._db._collection(this._collectionName).get(this.id));
+  }
+
+  _write(data) {
+    this._db._collection(this._collectionName).set(this.id, data);
+  }
+
+  _create(data) {
+    if (this._db._collection(this._collectionName).has(this.id)) {
+      throw storageError(ALREADY_EXISTS, `Document already exists: ${this.path}`);
+    }
+    this._write(resolveValue(data, undefined));
+  }
+
+  _set(data, options = {}) {
+    const existing = this._db._collection(this._collectionName).get(this.id);
+    this._write(options.merge && existing ? deepMerge(existing, data) : resolveValue(data, undefined));
+  }
+
+  _update(args) {
+    const existing = this._db._collection(this._collectionName).get(this.id);
+    if (!existing) {
+      throw storageError(NOT_FOUND, `No document to update: ${this.path}`);
+    }
+    const updated = cloneValue(existing);
+    for (const [segments, value] of toFieldUpdates(args)) {
+      setPath(updated, segments, value);
+    }
+    this._write(updated);
+  }
+
+  async get() {
+    return this._read();
+  }
+
+  async create(data) {
+    this._create(data);
+  }
+
+  async set(data, options) {
+    this._set(data, options);
+  }
+
+  async update(...args) {
+    this._update(args);
+  }
+
+  _delete() {
+    this._db._collection(this._collectionName).delete(this.id);
+  }
+
+  async delete() {
+    this._delete();
+  }
+}
+
+class MemoryCollectionReference extends MemoryQuery {
+  constructor(db, collectionName) {
+    super(db, collectionName);
+    this.id = collectionName;
+  }
+
+  doc(id = crypto.randomBytes(15).toString('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 20)) {
+    return new MemoryDocumentReference(this._db, this._collectionName, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    ref._create(data);
+    return ref;
+  }
+}
+
+class MemoryTransaction {
+  constructor() {
+    this._writes = [];
+  }
+
+  async get(refOrQuery) {
+    return refOrQuery instanceof MemoryDocumentReference ? refOrQuery._read() : refOrQuery._run();
+  }
+
+  create(ref, data) {
+    this._writes.push(() => ref._create(data));
+    return this;
+  }
+
+  set(ref, data, options) {
+    this._writes.push(() => ref._set(data, options));
+    return this;
+  }
+
+  update(ref, ...args) {
+    this._writes.push(() => ref._update(args));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => ref._delete());
+    return this;
+  }
+}
+
+class MemoryFirestore {
+  constructor(seed = {}) {
+    this._collections = new Map();
+    // Transactions run one at a time, so reads inside one can't go stale
+    this._transactionQueue = Promise.resolve();
+
+    for (const [collectionName, documents] of Object.entries(seed)) {
+      for (const [id, data] of Object.entries(documents)) {
+        this._collection(collectionName).set(id, cloneValue(data));
+      }
+    }
+  }
+
+  _collection(name) {
+    if (!this._collections.has(name)) {
+      this._collections.set(name, new Map());
+    }
+    return this._collections.get(name);
+  }
+
+  collection(name) {
+    return new MemoryCollectionReference(this, name);
+  }
+
+  runTransaction(updateFunction) {
+    const run = async () => {
+      const transaction = new MemoryTransaction();
+      const result = await updateFunction(transaction);
+
+      // Apply every write or none of them
+      const snapshot = new Map(Array.from(this._collections, ([name, documents]) => [name, new Map(documents)]));
+      try {
+        transaction._writes.forEach(write => write());
+      } catch (error) {
+        this._collections = snapshot;
+        throw error;
+      }
+      return result;
+    };
+
+    const result = this._transactionQueue.then(run);
+    this._transactionQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+function createFirestoreStorage(admin) {
+  return {
+    backend: 'firestore',
+    db: admin.firestore(),
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+    FieldPath: admin.firestore.FieldPath
+  };
+}
+
+/**
+ * In-memory storage, optionally seeded from a JSON file shaped like
+ * { "<collection>": { "<document id>": { ...fields } } }.
+ */
+function createMemoryStorage({ seedFile = null } = {}) {
+  const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : {};
+
+  return {
+    backend: 'memory',
+    db: new MemoryFirestore(seed),
+    FieldValue: MemoryFieldValues,
+    Timestamp: MemoryTimestamp,
+    FieldPath: MemoryFieldPath
+  };
+}
+
+module.exports = {
+  STORAGE_BACKENDS: ['firestore', 'memory'],
+  createFirestoreStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,218 @@
+// End-to-end smoke tests - real routes, memory storage and a fake Stripe
+const { createTestApp, sendWebhook, daysFromNow } = require('./helpers');
+
+const CUSTOMER = 'Bearer customer-token';
+const ADMIN = 'Bearer admin-token';
+
+let ctx;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  ctx = createTestApp();
+  await ctx.db.collection('packages').doc('mara').set({
+    name: 'Maasai Mara Safari',
+    price: 500,
+    currency: 'gbp',
+    active: true,
+    version: 1,
+    startDate: daysFromNow(200),
+    endDate: daysFromNow(203)
+  });
+  await ctx.db.collection('guides').doc('g1').set({ name: 'Sam', email: 'guide@example.com' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Start a package checkout as the customer and pay it
+async function payForPackage(body = {}) {
+  const res = await ctx.api
+    .post('/create-checkout-session')
+    .set('Authorization', CUSTOMER)
+    .send({ packageId: 'mara', travellers: 2, ...body });
+  expect(res.status).toBe(200);
+  return ctx.stripe.completeSession(res.body.id);
+}
+
+async function getBooking(id) {
+  const doc = await ctx.db.collection('bookings').doc(id).get();
+  return doc.exists ? doc.data() : null;
+}
+
+test('jest runs the app with the test profile', () => {
+  expect(ctx.config.env).toBe('test');
+  expect(ctx.config.storage.backend).toBe('memory');
+});
+
+describe('package checkout', () => {
+  test('a paid session becomes a confirmed booking through the webhook', async () => {
+    const session = await payForPackage();
+    expect(session.amount_total).toBe(100000);
+
+    const event = ctx.stripe.event('checkout.session.completed', session);
+    const res = await sendWebhook(ctx.api, event);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+
+    const booking = await getBooking(session.id);
+    expect(booking).toMatchObject({ status: 'confirmed', packageId: 'mara', totalAmount: 1000 });
+
+    // Redelivery and the success page don't book or email twice
+    await sendWebhook(ctx.api, event).expect(200);
+    const verify = await ctx.api
+      .post('/verify-payment')
+      .set('Authorization', CUSTOMER)
+      .send({ sessionId: session.id });
+    expect(verify.status).toBe(200);
+    expect(verify.body).toMatchObject({ paid: true, bookingId: session.id, finalAmount: 1000 });
+
+    const confirmations = ctx.emails.filter(email => email.subject.startsWith('Booking Confirmed'));
+    expect(confirmations).toHaveLength(1);
+  });
+
+  test('the webhook fails while the booking cannot be saved, so Stripe retries', async () => {
+    const session = await payForPackage();
+    const event = ctx.stripe.event('checkout.session.completed', session);
+
+    const bookings = ctx.db.collection('bookings');
+    const spy = jest.spyOn(Object.getPrototypeOf(bookings.doc(session.id)), 'create')
+      .mockRejectedValueOnce(new Error('database unavailable'));
+
+    const failed = await sendWebhook(ctx.api, event);
+    expect(failed.status).toBe(500);
+    expect(await getBooking(session.id)).toBeNull();
+
+    spy.mockRestore();
+    await sendWebhook(ctx.api, event).expect(200);
+    expect(await getBooking(session.id)).toMatchObject({ status: 'confirmed' });
+  });
+
+  test('another customer cannot verify the session', async () => {
+    const session = await payForPackage();
+
+    const res = await ctx.api
+      .post('/verify-payment')
+      .set('Authorization', 'Bearer other-token')
+      .send({ sessionId: session.id });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  test('webhooks with a bad signature are rejected', async () => {
+    const res = await ctx.api
+      .post('/api/tip/webhook')
+      .set('stripe-signature', 'forged')
+      .set('content-type', 'application/json')
+      .send(JSON.stringify({ type: 'checkout.session.completed' }));
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+  });
+});
+
+describe('refunds', () => {
+  let bookingId;
+
+  beforeEach(async () => {
+    const session = await payForPackage();
+    await sendWebhook(ctx.api, ctx.stripe.event('checkout.session.completed', session)).expect(200);
+    bookingId = session.id;
+  });
+
+  function refund(body, authorization = ADMIN) {
+    return ctx.api
+      .post('/api/admin/refunds')
+      .set('Authorization', authorization)
+      .send({ type: 'booking', id: bookingId, ...body });
+  }
+
+  test('partial then full refunds update the booking', async () => {
+    const partial = await refund({ amount: 400 });
+    expect(partial.status).toBe(200);
+    expect(partial.body.record).toMatchObject({ status: 'partially_refunded', refundedAmount: 400 });
+
+    // Leaving out the amount refunds whatever is left
+    const rest = await refund({});
+    expect(rest.status).toBe(200);
+    expect(rest.body.refund.amount).toBe(600);
+    expect(rest.body.record).toMatchObject({ status: 'refunded', refundedAmount: 1000 });
+    expect(ctx.stripe.refunds.list.map(r => r.amount)).toEqual([40000, 60000]);
+
+    const more = await refund({ amount: 1 });
+    expect(more.status).toBe(400);
+    expect(more.body.code).toBe('INVALID_REFUND_AMOUNT');
+  });
+
+  test('customers cannot issue refunds', async () => {
+    const res = await refund({ amount: 100 }, CUSTOMER);
+    expect(res.status).toBe(403);
+    expect(ctx.stripe.refunds.list).toHaveLength(0);
+  });
+});
+
+describe('tips', () => {
+  async function payTip(body, authorization = CUSTOMER) {
+    const req = ctx.api.post('/api/tip/create-checkout-session');
+    if (authorization) req.set('Authorization', authorization);
+    const res = await req.send({
+      amount: 20,
+      currency: 'gbp',
+      recipientType: 'guide',
+      recipientId: 'g1',
+      recipientName: 'Sam',
+      ...body
+    });
+    expect(res.status).toBe(200);
+    return ctx.stripe.completeSession(res.body.sessionId);
+  }
+
+  test('a guide tip is recorded and the guide told once', async () => {
+    const session = await payTip({ message: 'Great trip' });
+    const event = ctx.stripe.event('checkout.session.completed', session);
+
+    await sendWebhook(ctx.api, event).expect(200);
+    await sendWebhook(ctx.api, event).expect(200);
+
+    const tips = await ctx.db.collection('tips').get();
+    expect(tips.docs).toHaveLength(1);
+    expect(tips.docs[0].data()).toMatchObject({ amount: 20, recipientId: 'g1', senderId: 'customer-1' });
+
+    const guideEmails = ctx.emails.filter(email => email.to.some(to => to.email === 'guide@example.com'));
+    expect(guideEmails).toHaveLength(1);
+    expect(guideEmails[0].htmlContent).toContain('Jo Traveller');
+    expect(guideEmails[0].htmlContent).not.toContain('jo@example.com');
+
+    const verify = await ctx.api
+      .get('/api/tip/verify-checkout-session')
+      .set('Authorization', CUSTOMER)
+      .query({ session_id: session.id });
+    expect(verify.status).toBe(200);
+    expect(verify.body).toMatchObject({ success: true, alreadyProcessed: true });
+    expect(verify.body.payment).toMatchObject({ amount: 20, recipientId: 'g1' });
+  });
+
+  test('signed-out tippers must tip anonymously', async () => {
+    const res = await ctx.api
+      .post('/api/tip/create-checkout-session')
+      .send({ amount: 5, currency: 'gbp', recipientType: 'company' });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('AUTH_REQUIRED');
+
+    const session = await payTip({ recipientType: 'company', anonymous: true }, null);
+    expect(session.metadata).toMatchObject({ userId: 'anonymous', userName: 'Anonymous' });
+  });
+
+  test('tips verified by another user are refused', async () => {
+    const session = await payTip({});
+
+    const res = await ctx.api
+      .get('/api/tip/verify-checkout-session')
+      .set('Authorization', 'Bearer other-token')
+      .query({ session_id: session.id });
+    expect(res.status).toBe(403);
+    expect(await ctx.db.collection('tips').get()).toMatchObject({ docs: [] });
+  });
+});
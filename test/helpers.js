@@ -0,0 +1,255 @@
+// Test helpers - the app built around in-memory storage, a fake Stripe
+// client, fake Firebase Auth and an email transport that keeps what it sends
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { createMemoryStorage } = require('../storage');
+
+// The signature header the fake Stripe client accepts on webhooks
+const WEBHOOK_SIGNATURE = 't=1,v1=test';
+
+// Firebase ID tokens the fake auth client knows about
+const USERS = {
+  'customer-token': { uid: 'customer-1', email: 'jo@example.com', name: 'Jo Traveller' },
+  'other-token': { uid: 'customer-2', email: 'sam@example.com', name: 'Sam Traveller' },
+  'admin-token': { uid: 'admin-1', email: 'admin@example.com', roles: ['admin'] }
+};
+
+// Errors shaped like the ones the Stripe library throws
+function stripeError(type, code, message) {
+  return Object.assign(new Error(message), { type, code });
+}
+
+function notFound(object, id) {
+  return stripeError('StripeInvalidRequestError', 'resource_missing', `No such ${object}: '${id}'`);
+}
+
+/**
+ * A fake Stripe client covering the calls the app makes. Checkout sessions
+ * start unpaid; `completeSession(id)` pays one the way Stripe Checkout would
+ * and `event(type, object)` wraps an object in a webhook event.
+ */
+function createFakeStripe() {
+  let nextId = 1;
+  const newId = prefix => `${prefix}_test_${nextId++}`;
+
+  const sessions = new Map();
+  const coupons = new Map();
+  const charges = new Map();
+  const paymentIntents = new Map();
+  const refunds = [];
+  const transfers = [];
+
+  const stripe = {
+    sessions,
+    coupons: {
+      async create(params) {
+        const coupon = { id: newId('co'), ...params };
+        coupons.set(coupon.id, coupon);
+        return coupon;
+      },
+      async del(id) {
+        if (!coupons.delete(id)) throw notFound('coupon', id);
+        return { id, deleted: true };
+      }
+    },
+
+    checkout: {
+      sessions: {
+        async create(params) {
+          const subtotal = params.line_items
+            .reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0);
+          const discount = (params.discounts || [])
+            .reduce((sum, { coupon }) => sum + coupons.get(coupon).amount_off, 0);
+          const session = {
+            id: newId('cs'),
+            object: 'checkout.session',
+            url: 'https://checkout.stripe.test/pay',
+            created: Math.floor(Date.now() / 1000),
+            payment_status: 'unpaid',
+            amount_total: subtotal - discount,
+            currency: params.line_items[0].price_data.currency,
+            client_reference_id: params.client_reference_id || null,
+            customer: null,
+            customer_details: null,
+            payment_intent: null,
+            metadata: params.metadata || {},
+            params
+          };
+          sessions.set(session.id, session);
+          return session;
+        },
+        async retrieve(id) {
+          if (!sessions.has(id)) throw notFound('checkout.session', id);
+          return sessions.get(id);
+        },
+        list() {
+          return {
+            async autoPagingEach(callback) {
+              for (const session of sessions.values()) callback(session);
+            }
+          };
+        }
+      }
+    },
+
+    paymentIntents: {
+      async retrieve(id) {
+        if (!paymentIntents.has(id)) throw notFound('payment_intent', id);
+        const paymentIntent = paymentIntents.get(id);
+        return { ...paymentIntent, latest_charge: charges.get(paymentIntent.latest_charge) };
+      }
+    },
+
+    charges: {
+      async retrieve(id) {
+        if (!charges.has(id)) throw notFound('charge', id);
+        return charges.get(id);
+      }
+    },
+
+    refunds: {
+      list: refunds,
+      async create({ payment_intent: paymentIntentId, amount }) {
+        const charge = charges.get(paymentIntents.get(paymentIntentId).latest_charge);
+        if (charge.amount_refunded + amount > charge.amount) {
+          throw stripeError('StripeInvalidRequestError', 'charge_already_refunded', 'Refund exceeds the charge');
+        }
+        charge.amount_refunded += amount;
+        charge.refunded = charge.amount_refunded === charge.amount;
+
+        const refund = { id: newId('re'), amount, charge: charge.id, payment_intent: paymentIntentId, status: 'succeeded' };
+        refunds.push(refund);
+        return refund;
+      }
+    },
+
+    transfers: {
+      list: transfers,
+      async create(params) {
+        const transfer = { id: newId('tr'), ...params };
+        transfers.push(transfer);
+        return transfer;
+      },
+      async createReversal(id, params) {
+        return { id: newId('trr'), transfer: id, ...params };
+      }
+    },
+
+    webhooks: {
+      constructEvent(payload, signature) {
+        if (signature !== WEBHOOK_SIGNATURE) {
+          throw stripeError('StripeSignatureVerificationError', undefined, 'No signatures found matching the expected signature');
+        }
+        return JSON.parse(payload.toString());
+      }
+    },
+
+    // Pay a checkout session, creating its payment intent and charge
+    completeSession(id, { email = 'jo@example.com' } = {}) {
+      const session = sessions.get(id);
+      const charge = {
+        id: newId('ch'),
+        amount: session.amount_total,
+        amount_refunded: 0,
+        refunded: false,
+        currency: session.currency
+      };
+      const paymentIntent = { id: newId('pi'), amount: session.amount_total, latest_charge: charge.id };
+      charge.payment_intent = paymentIntent.id;
+      charges.set(charge.id, charge);
+      paymentIntents.set(paymentIntent.id, paymentIntent);
+
+      Object.assign(session, {
+        payment_status: 'paid',
+        payment_intent: paymentIntent.id,
+        customer_details: { email, name: 'Jo Traveller' }
+      });
+      return session;
+    },
+
+    event(type, object) {
+      return { id: newId('evt'), type, data: { object } };
+    }
+  };
+
+  return stripe;
+}
+
+// Firebase Auth stand-in for the tokens in USERS
+function createFakeAuth() {
+  return {
+    async verifyIdToken(token) {
+      if (!USERS[token]) throw new Error('Firebase ID token has invalid signature');
+      return USERS[token];
+    },
+    async getUser(uid) {
+      const user = Object.values(USERS).find(candidate => candidate.uid === uid);
+      if (!user) throw Object.assign(new Error('No user record'), { code: 'auth/user-not-found' });
+      return { uid, email: user.email, displayName: user.name || null, customClaims: { roles: user.roles } };
+    }
+  };
+}
+
+// Keeps every email it is asked to send
+function createRecordingTransport() {
+  const sent = [];
+  return {
+    name: 'test',
+    description: 'kept in memory for tests',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  };
+}
+
+/**
+ * Build the app with fakes for everything it talks to. Returns the app, its
+ * fakes, the memory database and `api`, a supertest agent for the app.
+ */
+function createTestApp(env = {}) {
+  const config = loadConfig({
+    NODE_ENV: process.env.NODE_ENV, // 'test' under jest, which picks the test profile
+    STRIPE_SECRET_KEY: 'sk_test_fake',
+    STRIPE_WEBHOOK_SECRET: 'whsec_fake',
+    STORAGE_BACKEND: 'memory',
+    ADMIN_EMAILS: 'office@example.com',
+    ...env
+  });
+  const stripe = createFakeStripe();
+  const storage = createMemoryStorage();
+  const emailTransport = createRecordingTransport();
+
+  const app = createApp({ config, stripe, storage, auth: createFakeAuth(), emailTransport });
+
+  return {
+    app,
+    api: request(app),
+    config,
+    stripe,
+    db: storage.db,
+    emails: emailTransport.sent
+  };
+}
+
+// Post a webhook event signed the way the fake Stripe client expects
+function sendWebhook(api, event) {
+  return api
+    .post('/api/tip/webhook')
+    .set('stripe-signature', WEBHOOK_SIGNATURE)
+    .set('content-type', 'application/json')
+    .send(JSON.stringify(event));
+}
+
+// A date `days` from today as YYYY-MM-DD
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  createTestApp,
+  sendWebhook,
+  daysFromNow
+};
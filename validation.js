@@ -0,0 +1,80 @@
+// Request validation middleware built on the JSON Schemas in schemas.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { sendError } = require('./errors');
+
+// Bodies are JSON, so types must match exactly; unknown fields are dropped
+const bodyValidator = addFormats(new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  removeAdditional: true
+}));
+
+// Query strings and params are always strings, so coerce them to the schema types
+const queryValidator = addFormats(new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  removeAdditional: true,
+  coerceTypes: true
+}));
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Turn Ajv errors into { location, field, message } entries
+function formatErrors(location, errors) {
+  // `if` only reports that its `then` branch failed - the branch's own errors say why
+  return errors.filter(error => error.keyword !== 'if').map(error => {
+    let field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    if (error.keyword === 'required') {
+      field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    }
+
+    let message = error.message;
+    if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'required') {
+      message = 'is required';
+    }
+
+    return { location, field: field || location, message };
+  });
+}
+
+/**
+ * Middleware validating `req.params`, `req.query` and `req.body` against
+ * the matching schemas of `routeSchemas`. Invalid requests get a 400 listing
+ * every field error; valid ones continue with defaults applied.
+ */
+function validate(routeSchemas) {
+  const compiled = LOCATIONS
+    .filter(location => routeSchemas[location])
+    .map(location => ({
+      location,
+      check: (location === 'body' ? bodyValidator : queryValidator).compile(routeSchemas[location])
+    }));
+
+  return (req, res, next) => {
+    const fields = [];
+
+    for (const { location, check } of compiled) {
+      // A missing JSON body is validated as an empty object
+      if (location === 'body' && (req.body === undefined || req.body === null)) {
+        req.body = {};
+      }
+
+      if (!check(req[location])) {
+        fields.push(...formatErrors(location, check.errors));
+      }
+    }
+
+    if (fields.length > 0) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid request', { fields });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};